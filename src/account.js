@@ -0,0 +1,102 @@
+import {
+    EmailAuthProvider,
+    GoogleAuthProvider,
+    linkWithCredential,
+    linkWithPopup,
+    signInAnonymously,
+    signInWithCredential,
+    signInWithEmailAndPassword,
+    signOut,
+} from 'firebase/auth';
+import { fitToHabitLimit } from './importExport';
+
+// ----------------------------------------------------------------------
+// --- ACCOUNT UPGRADE, SIGN-IN & SIGN-OUT ---
+// ----------------------------------------------------------------------
+// Linking a credential to the anonymous user keeps its UID, so its habits
+// stay where they are. When the credential already belongs to another
+// account (e.g. signing in on a second device), we sign into that account
+// instead and merge the guest's habits into it through `mergeHabits`, as far
+// as that account's habit limit allows.
+//
+// The upgrade functions resolve to { user, leftOut }, where `leftOut` lists
+// the guest's habits that did not fit and were not carried over.
+
+// Errors meaning "this credential already has its own account".
+const ACCOUNT_EXISTS_CODES = ['auth/email-already-in-use', 'auth/credential-already-in-use', 'auth/provider-already-linked'];
+
+// Message key (see i18n/) explaining a failed sign-in to the user.
+export const authErrorKey = (error) => {
+    switch (error && error.code) {
+        case 'auth/invalid-email':
+            return 'auth.invalidEmail';
+        case 'auth/weak-password':
+            return 'auth.weakPassword';
+        case 'auth/wrong-password':
+        case 'auth/invalid-credential':
+        case 'auth/user-not-found':
+            return 'auth.wrongCredentials';
+        case 'auth/popup-closed-by-user':
+            return 'auth.cancelled';
+        case 'auth/network-request-failed':
+            return 'auth.offline';
+        default:
+            return 'auth.unknown';
+    }
+};
+
+// The first plan `subscribePlan` reports for `userId`.
+const fetchPlan = (repository, userId) => new Promise((resolve, reject) => {
+    let unsubscribe = null;
+    let isResolved = false;
+    unsubscribe = repository.subscribePlan(userId, (plan) => {
+        isResolved = true;
+        resolve(plan);
+        if (unsubscribe) unsubscribe();
+    }, reject);
+    if (isResolved) unsubscribe();
+});
+
+// Signs in with `signIn()` and carries the current guest's habits over.
+const switchAccountAndMerge = async ({ auth, repository, mergeHabits }, signIn) => {
+    const guest = auth.currentUser;
+    const carried = guest && guest.isAnonymous ? await repository.fetchAll(guest.uid) : [];
+
+    const { user } = await signIn();
+    if (carried.length === 0) return { user, leftOut: [] };
+
+    const existing = await repository.fetchAll(user.uid);
+    const { habitLimit } = await fetchPlan(repository, user.uid);
+    const { habits, leftOut } = fitToHabitLimit(existing, carried, habitLimit);
+    await mergeHabits(user.uid, existing, habits);
+    return { user, leftOut };
+};
+
+export const upgradeWithEmail = async (context, email, password) => {
+    const { auth } = context;
+    const credential = EmailAuthProvider.credential(email, password);
+    try {
+        return { user: (await linkWithCredential(auth.currentUser, credential)).user, leftOut: [] };
+    } catch (error) {
+        if (!ACCOUNT_EXISTS_CODES.includes(error.code)) throw error;
+        return switchAccountAndMerge(context, () => signInWithEmailAndPassword(auth, email, password));
+    }
+};
+
+export const upgradeWithGoogle = async (context) => {
+    const { auth } = context;
+    try {
+        return { user: (await linkWithPopup(auth.currentUser, new GoogleAuthProvider())).user, leftOut: [] };
+    } catch (error) {
+        const credential = GoogleAuthProvider.credentialFromError(error);
+        if (!ACCOUNT_EXISTS_CODES.includes(error.code) || !credential) throw error;
+        return switchAccountAndMerge(context, () => signInWithCredential(auth, credential));
+    }
+};
+
+// The app always needs a user to store habits under, so signing out starts a
+// fresh guest session.
+export const signOutToGuest = async (auth) => {
+    await signOut(auth);
+    await signInAnonymously(auth);
+};
@@ -0,0 +1,121 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { deleteApp, initializeApp } from 'firebase/app';
+import {
+    connectAuthEmulator, createUserWithEmailAndPassword, getAuth, signInAnonymously, signInWithEmailAndPassword, signOut,
+} from 'firebase/auth';
+import { signOutToGuest, upgradeWithEmail } from './account';
+
+// Runs against the Auth emulator (`npm run test:emulator`) and is skipped
+// otherwise. Habits live in an in-memory repository; only the accounts are
+// real.
+
+const PROJECT_ID = 'demo-habit-forge';
+const EMAIL = 'alice@example.com';
+const PASSWORD = 'correct horse';
+
+const habit = (id, overrides = {}) => ({
+    id,
+    name: `Habit ${id}`,
+    order: 0,
+    createdAt: '2026-10-01T08:00:00.000Z',
+    archived: false,
+    deletedAt: null,
+    completions: {},
+    ...overrides,
+});
+
+// `habitsByUser` maps UIDs to their habits; every user gets `habitLimit`.
+const memoryRepository = (habitsByUser, habitLimit) => ({
+    fetchAll: async (userId) => habitsByUser[userId] || [],
+    subscribePlan: (userId, onPlan) => {
+        onPlan({ habitLimit });
+        return () => {};
+    },
+});
+
+describe.skipIf(!process.env.FIREBASE_AUTH_EMULATOR_HOST)('account upgrade and sign-out', () => {
+    let app;
+    let auth;
+
+    beforeAll(() => {
+        app = initializeApp({ apiKey: 'demo-key', projectId: PROJECT_ID }, 'account-test');
+        auth = getAuth(app);
+        connectAuthEmulator(auth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    });
+
+    afterEach(async () => {
+        await signOut(auth);
+        await fetch(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+    });
+
+    afterAll(() => deleteApp(app));
+
+    // Creates the account a second device would have made, then starts a guest session.
+    const existingAccount = async () => {
+        const { user } = await createUserWithEmailAndPassword(auth, EMAIL, PASSWORD);
+        await signOut(auth);
+        const { user: guest } = await signInAnonymously(auth);
+        return { account: user, guest };
+    };
+
+    it('links a new credential to the guest and keeps its UID', async () => {
+        const { user: guest } = await signInAnonymously(auth);
+        const mergeHabits = vi.fn();
+        const context = { auth, repository: memoryRepository({}, Infinity), mergeHabits };
+
+        const { user, leftOut } = await upgradeWithEmail(context, EMAIL, PASSWORD);
+        expect(user.uid).toBe(guest.uid);
+        expect(user.isAnonymous).toBe(false);
+        expect(leftOut).toEqual([]);
+        expect(mergeHabits).not.toHaveBeenCalled();
+    });
+
+    it('signs into the account that owns the credential and merges the guest\'s habits', async () => {
+        const { account, guest } = await existingAccount();
+        const existing = [habit('a1')];
+        const carried = [habit('g1'), habit('g2', { archived: true })];
+        const mergeHabits = vi.fn();
+        const repository = memoryRepository({ [guest.uid]: carried, [account.uid]: existing }, Infinity);
+
+        const { user, leftOut } = await upgradeWithEmail({ auth, repository, mergeHabits }, EMAIL, PASSWORD);
+        expect(user.uid).toBe(account.uid);
+        expect(auth.currentUser.uid).toBe(account.uid);
+        expect(leftOut).toEqual([]);
+        expect(mergeHabits).toHaveBeenCalledWith(account.uid, existing, carried);
+    });
+
+    it('leaves out the guest\'s habits that do not fit the account\'s habit limit', async () => {
+        const { account, guest } = await existingAccount();
+        const existing = [habit('a1'), habit('a2', { archived: true })];
+        const carried = [habit('g1'), habit('g2'), habit('g3', { archived: true })];
+        const mergeHabits = vi.fn();
+        const repository = memoryRepository({ [guest.uid]: carried, [account.uid]: existing }, 2);
+
+        const { leftOut } = await upgradeWithEmail({ auth, repository, mergeHabits }, EMAIL, PASSWORD);
+        expect(leftOut).toEqual([carried[1]]);
+        expect(mergeHabits).toHaveBeenCalledWith(account.uid, existing, [carried[0], carried[2]]);
+    });
+
+    it('does not merge anything when the guest has no habits', async () => {
+        const { account } = await existingAccount();
+        const mergeHabits = vi.fn();
+        const { user } = await upgradeWithEmail({ auth, repository: memoryRepository({}, 2), mergeHabits }, EMAIL, PASSWORD);
+        expect(user.uid).toBe(account.uid);
+        expect(mergeHabits).not.toHaveBeenCalled();
+    });
+
+    it('rejects a wrong password for an existing account without signing in', async () => {
+        const { guest } = await existingAccount();
+        const context = { auth, repository: memoryRepository({ [guest.uid]: [habit('g1')] }, 2), mergeHabits: vi.fn() };
+        await expect(upgradeWithEmail(context, EMAIL, 'wrong password')).rejects.toHaveProperty('code');
+        expect(context.mergeHabits).not.toHaveBeenCalled();
+    });
+
+    it('starts a fresh guest session on sign-out', async () => {
+        await existingAccount();
+        const { user } = await signInWithEmailAndPassword(auth, EMAIL, PASSWORD);
+        await signOutToGuest(auth);
+        expect(auth.currentUser.isAnonymous).toBe(true);
+        expect(auth.currentUser.uid).not.toBe(user.uid);
+    });
+});
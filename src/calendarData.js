@@ -0,0 +1,63 @@
+import { addDays, startOfWeek } from './dateUtils';
+import { isCompletedOn } from './completions';
+import { getDayStatus, NO_PAUSES } from './schedule';
+
+// ----------------------------------------------------------------------
+// --- MONTH GRID & HEATMAP DATA ---
+// ----------------------------------------------------------------------
+
+export const HEATMAP_WEEKS = 53;
+
+export const startOfMonth = (dateString) => `${dateString.slice(0, 7)}-01`;
+
+export const addMonths = (dateString, offset) => {
+    const [y, m] = dateString.split('-').map(Number);
+    const total = y * 12 + (m - 1) + offset;
+    return `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, '0')}-01`;
+};
+
+// Weeks (arrays of 7 dates) covering the month of `dateString`, padded with
+// days of the neighbouring months so every row is complete. Weeks start on
+// the configured first day of the week unless `weekStartsOn` is given.
+export const buildMonthGrid = (dateString, weekStartsOn) => {
+    const first = startOfMonth(dateString);
+    const last = addDays(addMonths(first, 1), -1);
+    const weeks = [];
+    for (let weekStart = startOfWeek(first, weekStartsOn); weekStart <= last; weekStart = addDays(weekStart, 7)) {
+        weeks.push(Array.from({ length: 7 }, (_, i) => addDays(weekStart, i)));
+    }
+    return weeks;
+};
+
+// Columns of 7 dates for a contribution-style heatmap ending with the week
+// that contains `today`. Dates after `today` are still included so the last
+// column is complete; callers render them empty.
+export const buildHeatmapWeeks = (today, weekCount = HEATMAP_WEEKS, weekStartsOn) => {
+    const firstWeek = addDays(startOfWeek(today, weekStartsOn), -7 * (weekCount - 1));
+    return Array.from({ length: weekCount }, (_, w) =>
+        Array.from({ length: 7 }, (_, d) => addDays(firstWeek, w * 7 + d))
+    );
+};
+
+// How many of `habits` were completed on `date` out of those that were due.
+// Habits that did not exist yet, had a rest day or were skipped are left out of `due`.
+export const summarizeDay = (habits, date, pauses = NO_PAUSES) => {
+    let done = 0;
+    let due = 0;
+    habits.forEach(habit => {
+        if (isCompletedOn(habit, date)) {
+            done++;
+            due++;
+        } else if (getDayStatus(habit, date, pauses) === 'due') {
+            due++;
+        }
+    });
+    return { done, due };
+};
+
+// 0 (nothing done) .. 4 (everything due was done), for colour scales.
+export const intensityLevel = ({ done, due }) => {
+    if (done === 0) return 0;
+    if (due === 0 || done >= due) return 4;
+    return Math.max(1, Math.min(3, Math.ceil((done / due) * 4) - 1));
+};
@@ -0,0 +1,108 @@
+import { addDays, diffDays } from './dateUtils';
+import { isCompletedOn } from './completions';
+import { createDayClassifier, isScheduledOn, isOnVacation, NO_PAUSES } from './schedule';
+
+// ----------------------------------------------------------------------
+// --- TIME-BOXED CHALLENGES ---
+// ----------------------------------------------------------------------
+// `habit.challenge` is the running goal, or null:
+//   { id, kind: 'streak', target: 30, start: '2026-10-01', end: '2026-10-30' } // a 30-day streak
+//   { id, kind: 'count',  target: 20, start: '2026-10-01', end: '2026-12-31' } // 20 completed days
+// Only days inside the window count, and streaks follow the usual rules
+// (see createDayClassifier). A challenge succeeds as soon as its target is
+// reached and fails once too few days are left to reach it, at the latest
+// when the window ends. Finished challenges move to `habit.challengeResults`
+// as { ...challenge, outcome: 'succeeded' | 'failed', achieved, finishedOn }.
+
+export const CHALLENGE_KINDS = ['streak', 'count'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Projections further out than this are not worth showing.
+const PROJECTION_LIMIT_DAYS = 3660;
+
+export const windowLength = ({ start, end }) => diffDays(start, end) + 1;
+
+// A target longer than the window could never be reached.
+export const isValidChallenge = (challenge) =>
+    !!challenge && typeof challenge === 'object' &&
+    CHALLENGE_KINDS.includes(challenge.kind) &&
+    DATE_PATTERN.test(challenge.start) && DATE_PATTERN.test(challenge.end) &&
+    challenge.start <= challenge.end &&
+    Number.isInteger(challenge.target) && challenge.target >= 1 &&
+    challenge.target <= windowLength(challenge);
+
+// Walks forward from `from` to the day the `needed`-th scheduled day falls
+// on, assuming every one of them gets done.
+const projectStreak = (habit, from, needed, pauses) => {
+    let found = 0;
+    for (let day = from, i = 0; i < PROJECTION_LIMIT_DAYS; day = addDays(day, 1), i++) {
+        if (isScheduledOn(habit, day) && !isOnVacation(day, pauses.vacations)) found++;
+        if (found >= needed) return day;
+    }
+    return null;
+};
+
+// Returns { status, achieved, target, projectedOn } where `status` is
+// 'upcoming', 'active', 'succeeded' or 'failed'. `achieved` is the completed
+// days so far for counts, and the current streak for streaks (or the streak
+// that met the target). `projectedOn` is when an active challenge reaches its
+// target at the pace so far (counts) or with no further misses (streaks); it
+// may fall after the window ends, and is null when there is no pace yet.
+export const evaluateChallenge = (habit, challenge, today, pauses = NO_PAUSES) => {
+    const { kind, target, start, end } = challenge;
+    if (today < start) return { status: 'upcoming', achieved: 0, target, projectedOn: null };
+
+    const last = today < end ? today : end;
+    const classify = createDayClassifier(habit, today, pauses);
+    let count = 0;
+    let run = 0;
+    let best = 0;
+    for (let day = start; day <= last; day = addDays(day, 1)) {
+        if (kind === 'count') {
+            if (isCompletedOn(habit, day)) count++;
+            continue;
+        }
+        const state = classify(day);
+        if (state === 'missed') run = 0;
+        if (state === 'done') best = Math.max(best, ++run);
+    }
+
+    const reached = kind === 'count' ? count >= target : best >= target;
+    const achieved = kind === 'count' ? count : (reached ? best : run);
+    if (reached) return { status: 'succeeded', achieved, target, projectedOn: null };
+
+    // Calendar days still open, today included until it is done. This never
+    // undercounts scheduled days, so a challenge is never failed too early.
+    const isTodayDone = isCompletedOn(habit, today);
+    const openDays = today <= end ? diffDays(today, end) + (isTodayDone ? 0 : 1) : 0;
+    if (achieved + openDays < target) return { status: 'failed', achieved, target, projectedOn: null };
+
+    let projectedOn = null;
+    if (kind === 'count' && count > 0) {
+        const pace = count / (diffDays(start, last) + 1);
+        projectedOn = addDays(last, Math.ceil((target - count) / pace));
+    } else if (kind === 'streak') {
+        projectedOn = projectStreak(habit, isTodayDone ? addDays(today, 1) : today, target - run, pauses);
+    }
+    return { status: 'active', achieved, target, projectedOn };
+};
+
+export const isFinished = ({ status }) => status === 'succeeded' || status === 'failed';
+
+// Habits whose running challenge has just finished, with its evaluation.
+export const finishedChallengesOf = (habits, today, pauses = NO_PAUSES) =>
+    habits
+        .filter(habit => isValidChallenge(habit.challenge))
+        .map(habit => ({ habit, evaluation: evaluateChallenge(habit, habit.challenge, today, pauses) }))
+        .filter(({ evaluation }) => isFinished(evaluation));
+
+// The habit changes that archive its running challenge with `evaluation`.
+// A result with the same ID (archived meanwhile by another device) is replaced.
+export const archiveChallengeChanges = (habit, evaluation, today) => ({
+    challenge: null,
+    challengeResults: [
+        ...(habit.challengeResults || []).filter(result => result.id !== habit.challenge.id),
+        { ...habit.challenge, outcome: evaluation.status, achieved: evaluation.achieved, finishedOn: today },
+    ],
+});
@@ -0,0 +1,119 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { addDays, configureCalendar, DEFAULT_CALENDAR_SETTINGS } from './dateUtils';
+import { archiveChallengeChanges, evaluateChallenge, finishedChallengesOf, isValidChallenge } from './challenges';
+
+// 2026-10-19 is a Monday.
+beforeEach(() => configureCalendar({ timeZone: 'UTC', dayStartHour: 0, weekStartsOn: 1 }));
+afterEach(() => configureCalendar(DEFAULT_CALENDAR_SETTINGS));
+
+const TODAY = '2026-10-19';
+
+const dailyHabit = (doneDays = [], challenge = null) => ({
+    id: 'h1',
+    createdAt: '2026-09-01T08:00:00Z',
+    schedule: { type: 'daily' },
+    completions: Object.fromEntries(doneDays.map(day => [day, true])),
+    challenge,
+});
+
+const daysFrom = (start, count) => Array.from({ length: count }, (_, i) => addDays(start, i));
+
+const countChallenge = (target, start = '2026-10-12', end = '2026-10-25') => ({ id: 'c1', kind: 'count', target, start, end });
+const streakChallenge = (target, start = '2026-10-12', end = '2026-10-25') => ({ id: 'c1', kind: 'streak', target, start, end });
+
+describe('isValidChallenge', () => {
+    it('accepts a reachable target inside a window', () => {
+        expect(isValidChallenge(countChallenge(14))).toBe(true);
+        expect(isValidChallenge(streakChallenge(1, TODAY, TODAY))).toBe(true);
+    });
+
+    it('rejects unknown kinds, bad dates and unreachable targets', () => {
+        expect(isValidChallenge(null)).toBe(false);
+        expect(isValidChallenge({ ...countChallenge(5), kind: 'total' })).toBe(false);
+        expect(isValidChallenge(countChallenge(5, '2026-10-25', '2026-10-12'))).toBe(false);
+        expect(isValidChallenge(countChallenge(5, '12.10.2026'))).toBe(false);
+        expect(isValidChallenge(countChallenge(0))).toBe(false);
+        expect(isValidChallenge(countChallenge(2.5))).toBe(false);
+        expect(isValidChallenge(countChallenge(15))).toBe(false);
+    });
+});
+
+describe('evaluateChallenge', () => {
+    it('does not start before its window', () => {
+        expect(evaluateChallenge(dailyHabit(), countChallenge(5, '2026-10-20'), TODAY))
+            .toEqual({ status: 'upcoming', achieved: 0, target: 5, projectedOn: null });
+    });
+
+    it('projects a count challenge at the pace so far', () => {
+        const habit = dailyHabit(['2026-10-10', ...daysFrom('2026-10-12', 3)]);
+        // Three days done in eight, so two more take another six days.
+        expect(evaluateChallenge(habit, countChallenge(5), TODAY))
+            .toEqual({ status: 'active', achieved: 3, target: 5, projectedOn: '2026-10-25' });
+    });
+
+    it('succeeds as soon as the count is reached', () => {
+        const habit = dailyHabit(daysFrom('2026-10-12', 5));
+        expect(evaluateChallenge(habit, countChallenge(5), TODAY)).toMatchObject({ status: 'succeeded', achieved: 5 });
+    });
+
+    it('fails once too few days are left to reach the count', () => {
+        const habit = dailyHabit(['2026-10-12']);
+        expect(evaluateChallenge(habit, countChallenge(4, '2026-10-12', '2026-10-20'), TODAY))
+            .toMatchObject({ status: 'failed', achieved: 1 });
+    });
+
+    it('projects a streak assuming no further misses', () => {
+        const habit = dailyHabit(daysFrom('2026-10-14', 5));
+        expect(evaluateChallenge(habit, streakChallenge(7), TODAY))
+            .toEqual({ status: 'active', achieved: 5, target: 7, projectedOn: '2026-10-20' });
+    });
+
+    it('keeps the streak that met the target after a later miss', () => {
+        const habit = dailyHabit(daysFrom('2026-10-12', 5));
+        expect(evaluateChallenge(habit, streakChallenge(5), TODAY)).toMatchObject({ status: 'succeeded', achieved: 5 });
+    });
+
+    it('fails a streak that can no longer fit in the window', () => {
+        const habit = dailyHabit(daysFrom('2026-10-12', 2));
+        expect(evaluateChallenge(habit, streakChallenge(5, '2026-10-12', '2026-10-20'), TODAY))
+            .toMatchObject({ status: 'failed', achieved: 0 });
+    });
+
+    it('fails once the window has ended short of the target', () => {
+        const habit = dailyHabit(daysFrom('2026-10-01', 3));
+        expect(evaluateChallenge(habit, countChallenge(5, '2026-10-01', '2026-10-10'), TODAY))
+            .toMatchObject({ status: 'failed', achieved: 3 });
+    });
+});
+
+describe('finished challenges', () => {
+    it('lists only habits whose valid challenge has finished', () => {
+        const done = { ...dailyHabit(daysFrom('2026-10-12', 5), countChallenge(5)), id: 'done' };
+        const running = { ...dailyHabit([], countChallenge(5)), id: 'running' };
+        const broken = { ...dailyHabit(daysFrom('2026-10-12', 5), countChallenge(50)), id: 'broken' };
+        const finished = finishedChallengesOf([done, running, broken, dailyHabit()], TODAY);
+        expect(finished.map(({ habit }) => habit.id)).toEqual(['done']);
+        expect(finished[0].evaluation.status).toBe('succeeded');
+    });
+
+    it('archives the result and clears the running challenge', () => {
+        const habit = {
+            ...dailyHabit(daysFrom('2026-10-12', 5), countChallenge(5)),
+            challengeResults: [{ ...countChallenge(3), id: 'c0', outcome: 'failed', achieved: 1, finishedOn: '2026-10-01' }],
+        };
+        const changes = archiveChallengeChanges(habit, evaluateChallenge(habit, habit.challenge, TODAY), TODAY);
+        expect(changes.challenge).toBeNull();
+        expect(changes.challengeResults.map(result => result.id)).toEqual(['c0', 'c1']);
+        expect(changes.challengeResults[1]).toEqual({ ...countChallenge(5), outcome: 'succeeded', achieved: 5, finishedOn: TODAY });
+    });
+
+    it('replaces a result another device already archived', () => {
+        const habit = {
+            ...dailyHabit([], countChallenge(5)),
+            challengeResults: [{ ...countChallenge(5), outcome: 'failed', achieved: 0, finishedOn: '2026-10-18' }],
+        };
+        const changes = archiveChallengeChanges(habit, { status: 'failed', achieved: 0 }, TODAY);
+        expect(changes.challengeResults).toHaveLength(1);
+        expect(changes.challengeResults[0].finishedOn).toBe(TODAY);
+    });
+});
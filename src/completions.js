@@ -0,0 +1,53 @@
+// ----------------------------------------------------------------------
+// --- COMPLETION VALUES ---
+// ----------------------------------------------------------------------
+// `habit.completions` maps `YYYY-MM-DD` to a value whose shape depends on the
+// habit type:
+//   boolean habits (default, also every habit without a `type`): `true`
+//   quantity habits ({ type: 'quantity', unit, target, step }): a number
+//   any habit: 'skipped' for a day deliberately left out (sick, travelling)
+// Always read completions through these helpers instead of indexing the map.
+
+export const SKIPPED = 'skipped';
+
+export const isQuantityHabit = (habit) => habit.type === 'quantity';
+
+export const getTarget = (habit) => (isQuantityHabit(habit) ? habit.target : 1);
+
+const isPositiveNumber = (value) => Number.isFinite(value) && value > 0;
+
+// Whether a habit's `type` is known and, for quantity habits, its target and
+// step are positive numbers. `step` and `unit` may be left out.
+export const hasValidMeasure = (habit) => {
+    if (habit.type === undefined || habit.type === 'boolean') return true;
+    return habit.type === 'quantity' &&
+        isPositiveNumber(habit.target) &&
+        (habit.step === undefined || isPositiveNumber(habit.step)) &&
+        (habit.unit === undefined || typeof habit.unit === 'string');
+};
+
+// A stored completion: `true`, SKIPPED or a positive amount. Cleared days are
+// removed from the map rather than stored as a falsy value.
+export const isValidCompletionValue = (value) => value === true || value === SKIPPED || isPositiveNumber(value);
+
+// Numeric progress recorded for `date`: the stored amount for quantity habits,
+// 1 or 0 for boolean habits.
+export const getProgress = (habit, date) => {
+    const value = habit.completions ? habit.completions[date] : undefined;
+    if (typeof value === 'number') return value;
+    return value && value !== SKIPPED ? 1 : 0;
+};
+
+export const isMarkedSkipped = (habit, date) => !!habit.completions && habit.completions[date] === SKIPPED;
+
+export const isCompletedOn = (habit, date) => getProgress(habit, date) >= getTarget(habit);
+
+export const completedDatesOf = (habit) =>
+    Object.keys(habit.completions || {}).filter(date => isCompletedOn(habit, date));
+
+// `t` translates the labels for non-numeric values (see i18n/).
+export const formatCompletionValue = (habit, value, t) => {
+    if (typeof value === 'number') return `${value}${habit.unit ? ` ${habit.unit}` : ''}`;
+    if (value === SKIPPED) return t('value.skipped');
+    return value ? t('value.done') : t('value.notDone');
+};
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import {
+    completedDatesOf, formatCompletionValue, getProgress, getTarget, hasValidMeasure, isCompletedOn, isMarkedSkipped, SKIPPED,
+} from './completions';
+
+describe('skipped days', () => {
+    const habit = { completions: { '2026-10-05': SKIPPED, '2026-10-06': true } };
+
+    it('marks only days stored as skipped', () => {
+        expect(isMarkedSkipped(habit, '2026-10-05')).toBe(true);
+        expect(isMarkedSkipped(habit, '2026-10-06')).toBe(false);
+        expect(isMarkedSkipped(habit, '2026-10-07')).toBe(false);
+        expect(isMarkedSkipped({}, '2026-10-05')).toBe(false);
+    });
+
+    it('never counts a skipped day as progress or a completion', () => {
+        expect(getProgress(habit, '2026-10-05')).toBe(0);
+        expect(isCompletedOn(habit, '2026-10-05')).toBe(false);
+        expect(completedDatesOf(habit)).toEqual(['2026-10-06']);
+
+        const quantity = { type: 'quantity', target: 5, completions: { '2026-10-05': SKIPPED } };
+        expect(getProgress(quantity, '2026-10-05')).toBe(0);
+        expect(isCompletedOn(quantity, '2026-10-05')).toBe(false);
+    });
+});
+
+describe('quantity habits', () => {
+    const water = { type: 'quantity', unit: 'glasses', target: 8, step: 1, completions: { '2026-10-05': 3, '2026-10-06': 8, '2026-10-07': 10 } };
+
+    it('records the stored amount as progress', () => {
+        expect(getTarget(water)).toBe(8);
+        expect(getProgress(water, '2026-10-05')).toBe(3);
+        expect(getProgress(water, '2026-10-08')).toBe(0);
+    });
+
+    it('completes a day once the target is reached', () => {
+        expect(isCompletedOn(water, '2026-10-05')).toBe(false);
+        expect(isCompletedOn(water, '2026-10-06')).toBe(true);
+        expect(isCompletedOn(water, '2026-10-07')).toBe(true);
+        expect(completedDatesOf(water)).toEqual(['2026-10-06', '2026-10-07']);
+    });
+
+    it('keeps boolean habits at a target of one', () => {
+        const habit = { completions: { '2026-10-05': true } };
+        expect(getTarget(habit)).toBe(1);
+        expect(getProgress(habit, '2026-10-05')).toBe(1);
+        expect(isCompletedOn(habit, '2026-10-05')).toBe(true);
+    });
+
+    it('formats amounts with their unit', () => {
+        const t = key => key;
+        expect(formatCompletionValue(water, 3, t)).toBe('3 glasses');
+        expect(formatCompletionValue({ ...water, unit: undefined }, 3, t)).toBe('3');
+        expect(formatCompletionValue(water, SKIPPED, t)).toBe('value.skipped');
+    });
+});
+
+describe('hasValidMeasure', () => {
+    it('accepts boolean habits and quantity habits with a positive target and step', () => {
+        expect(hasValidMeasure({})).toBe(true);
+        expect(hasValidMeasure({ type: 'boolean' })).toBe(true);
+        expect(hasValidMeasure({ type: 'quantity', target: 2.5 })).toBe(true);
+        expect(hasValidMeasure({ type: 'quantity', target: 8, step: 0.5, unit: 'km' })).toBe(true);
+    });
+
+    it('rejects unknown types and bad quantity fields', () => {
+        expect(hasValidMeasure({ type: 'timer' })).toBe(false);
+        expect(hasValidMeasure({ type: 'quantity' })).toBe(false);
+        expect(hasValidMeasure({ type: 'quantity', target: 0 })).toBe(false);
+        expect(hasValidMeasure({ type: 'quantity', target: '8' })).toBe(false);
+        expect(hasValidMeasure({ type: 'quantity', target: 8, step: -1 })).toBe(false);
+        expect(hasValidMeasure({ type: 'quantity', target: 8, unit: 3 })).toBe(false);
+    });
+});
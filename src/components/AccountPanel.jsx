@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { LogOut, Loader2 } from 'lucide-react';
+import { upgradeWithEmail, upgradeWithGoogle, signOutToGuest, authErrorKey } from '../account';
+import { useI18n } from '../i18n/context';
+
+// ----------------------------------------------------------------------
+// --- ACCOUNT PANEL ---
+// ----------------------------------------------------------------------
+
+const AccountPanel = ({ user, accountContext }) => {
+    const { t } = useI18n();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    // `action` may resolve to { leftOut } (see account.js) when signing into
+    // an account that had no room for some of the guest's habits.
+    const run = async (action) => {
+        setIsBusy(true);
+        setError('');
+        setNotice('');
+        try {
+            const { leftOut = [] } = (await action()) || {};
+            setPassword('');
+            if (leftOut.length > 0) {
+                setNotice(t('account.notCarried', { count: leftOut.length, names: leftOut.map(habit => habit.name).join(', ') }));
+            }
+        } catch (e) {
+            console.error("Account Error:", e);
+            setError(t(authErrorKey(e)));
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    if (!accountContext.auth) {
+        return <p className="text-xs text-gray-500">{t('account.unavailable')}</p>;
+    }
+
+    if (user && !user.isAnonymous) {
+        return (
+            <div>
+                <div className="flex items-center justify-between">
+                    <span>{t('account.signedInAs')} <strong>{user.email || user.displayName || user.uid}</strong></span>
+                    <button
+                        onClick={() => run(() => signOutToGuest(accountContext.auth))}
+                        disabled={isBusy}
+                        className="flex items-center px-3 py-1 text-sm font-semibold text-gray-600 bg-gray-200 rounded-lg hover:bg-gray-300"
+                    >
+                        <LogOut size={16} className="mr-1" /> {t('account.signOut')}
+                    </button>
+                </div>
+                {notice && <p className="text-sm text-amber-700 mt-2">{notice}</p>}
+            </div>
+        );
+    }
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        run(() => upgradeWithEmail(accountContext, email.trim(), password));
+    };
+
+    return (
+        <div className="space-y-2">
+            <p className="text-xs text-gray-500">
+                {t('account.guestHint')}
+            </p>
+            <form onSubmit={handleSubmit} className="flex flex-col space-y-2">
+                <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder={t('account.email')}
+                    autoComplete="email"
+                    className="p-2 border border-gray-300 rounded-lg"
+                    required
+                />
+                <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder={t('account.password')}
+                    autoComplete="current-password"
+                    minLength={6}
+                    className="p-2 border border-gray-300 rounded-lg"
+                    required
+                />
+                <div className="flex justify-end space-x-2">
+                    <button
+                        type="button"
+                        onClick={() => run(() => upgradeWithGoogle(accountContext))}
+                        disabled={isBusy}
+                        className="px-3 py-1 text-sm font-semibold text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+                    >
+                        {t('account.google')}
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={isBusy}
+                        className="flex items-center px-3 py-1 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700"
+                    >
+                        {isBusy && <Loader2 size={14} className="mr-1 animate-spin" />} {t('account.submit')}
+                    </button>
+                </div>
+            </form>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+export default AccountPanel;
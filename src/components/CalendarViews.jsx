@@ -0,0 +1,143 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowLeft, ArrowRight } from 'lucide-react';
+import { getToday, weekdayOrder } from '../dateUtils';
+import { isOnVacation, NO_PAUSES } from '../schedule';
+import { buildMonthGrid, buildHeatmapWeeks, summarizeDay, intensityLevel, addMonths, startOfMonth } from '../calendarData';
+import { useI18n } from '../i18n/context';
+
+// ----------------------------------------------------------------------
+// --- MONTH CALENDAR & YEAR HEATMAP VIEWS ---
+// ----------------------------------------------------------------------
+
+const LEVEL_CLASSES = [
+    'bg-gray-100 text-gray-600',
+    'bg-green-100 text-green-800',
+    'bg-green-300 text-green-900',
+    'bg-green-400 text-white',
+    'bg-green-600 text-white',
+];
+
+const VACATION_CLASSES = 'bg-sky-100 text-sky-700';
+
+const HabitFilter = ({ habits, habitId, onChange }) => {
+    const { t } = useI18n();
+    return (
+        <select
+            value={habitId}
+            onChange={(e) => onChange(e.target.value)}
+            className="p-2 text-sm border border-gray-300 rounded-lg"
+            aria-label={t('common.habit')}
+        >
+            <option value="">{t('common.allHabits')}</option>
+            {habits.map(habit => <option key={habit.id} value={habit.id}>{habit.name}</option>)}
+        </select>
+    );
+};
+
+const useFilteredHabits = (habits, habitId) =>
+    useMemo(() => (habitId ? habits.filter(h => h.id === habitId) : habits), [habits, habitId]);
+
+const describeSummary = ({ t, formatDate }, date, { done, due }, vacations) =>
+    t(isOnVacation(date, vacations) ? 'calendar.summaryVacation' : 'calendar.summary', { date: formatDate(date), done, due });
+
+export const MonthCalendar = ({ habits, selectedDate, pauses = NO_PAUSES, onSelectDate }) => {
+    const i18n = useI18n();
+    const { t, formatDate, formatWeekday } = i18n;
+    const [habitId, setHabitId] = useState('');
+    const [month, setMonth] = useState(startOfMonth(selectedDate));
+    const visibleHabits = useFilteredHabits(habits, habitId);
+    const today = getToday();
+    const weekdays = weekdayOrder();
+    const weeks = useMemo(() => buildMonthGrid(month, weekdays[0]), [month, weekdays[0]]);
+
+    return (
+        <div className="p-4 bg-white rounded-2xl shadow-xl mb-6">
+            <div className="flex items-center justify-between mb-3">
+                <button
+                    onClick={() => setMonth(addMonths(month, -1))}
+                    className="p-2 rounded-full text-indigo-600 hover:bg-indigo-50 transition-colors"
+                    aria-label={t('calendar.previousMonth')}
+                >
+                    <ArrowLeft size={20} />
+                </button>
+                <span className="font-semibold text-gray-700">
+                    {formatDate(month, { month: 'long', year: 'numeric' })}
+                </span>
+                <button
+                    onClick={() => setMonth(addMonths(month, 1))}
+                    className="p-2 rounded-full text-indigo-600 hover:bg-indigo-50 transition-colors"
+                    aria-label={t('calendar.nextMonth')}
+                >
+                    <ArrowRight size={20} />
+                </button>
+            </div>
+            <div className="flex justify-end mb-3">
+                <HabitFilter habits={habits} habitId={habitId} onChange={setHabitId} />
+            </div>
+            <div className="grid grid-cols-7 gap-1 text-center text-xs">
+                {weekdays.map(weekday => <span key={weekday} className="text-gray-500 font-medium">{formatWeekday(weekday)}</span>)}
+                {weeks.flat().map(date => {
+                    const inMonth = date.startsWith(month.slice(0, 7));
+                    const isFuture = date > today;
+                    const summary = summarizeDay(visibleHabits, date, pauses);
+                    const level = isFuture ? 0 : intensityLevel(summary);
+                    const classes = isOnVacation(date, pauses.vacations) && summary.done === 0 ? VACATION_CLASSES : LEVEL_CLASSES[level];
+                    return (
+                        <button
+                            key={date}
+                            onClick={() => onSelectDate(date)}
+                            title={describeSummary(i18n, date, summary, pauses.vacations)}
+                            className={`h-10 rounded-lg font-semibold transition-all ${classes} ${inMonth ? '' : 'opacity-40'} ${date === selectedDate ? 'ring-2 ring-indigo-500' : ''}`}
+                        >
+                            {Number(date.slice(8))}
+                        </button>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export const YearHeatmap = ({ habits, selectedDate, pauses = NO_PAUSES, onSelectDate }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [habitId, setHabitId] = useState('');
+    const visibleHabits = useFilteredHabits(habits, habitId);
+    const today = getToday();
+    const weekStartsOn = weekdayOrder()[0];
+    const weeks = useMemo(() => buildHeatmapWeeks(today, undefined, weekStartsOn), [today, weekStartsOn]);
+
+    return (
+        <div className="p-4 bg-white rounded-2xl shadow-xl mb-6">
+            <div className="flex items-center justify-between mb-3">
+                <span className="font-semibold text-gray-700">{t('calendar.pastYear')}</span>
+                <HabitFilter habits={habits} habitId={habitId} onChange={setHabitId} />
+            </div>
+            <div className="flex space-x-0.5 overflow-x-auto pb-2">
+                {weeks.map(week => (
+                    <div key={week[0]} className="flex flex-col space-y-0.5">
+                        {week.map(date => {
+                            if (date > today) return <span key={date} className="w-3 h-3" />;
+                            const summary = summarizeDay(visibleHabits, date, pauses);
+                            const classes = isOnVacation(date, pauses.vacations) && summary.done === 0 ? VACATION_CLASSES : LEVEL_CLASSES[intensityLevel(summary)];
+                            return (
+                                <button
+                                    key={date}
+                                    onClick={() => onSelectDate(date)}
+                                    title={describeSummary(i18n, date, summary, pauses.vacations)}
+                                    aria-label={describeSummary(i18n, date, summary, pauses.vacations)}
+                                    className={`w-3 h-3 rounded-sm ${classes.split(' ')[0]} ${date === selectedDate ? 'ring-1 ring-indigo-500' : ''}`}
+                                />
+                            );
+                        })}
+                    </div>
+                ))}
+            </div>
+            <div className="flex items-center justify-end space-x-1 text-xs text-gray-500">
+                <span>{t('calendar.less')}</span>
+                {LEVEL_CLASSES.map(classes => <span key={classes} className={`w-3 h-3 rounded-sm ${classes.split(' ')[0]}`} />)}
+                <span>{t('calendar.more')}</span>
+            </div>
+        </div>
+    );
+};
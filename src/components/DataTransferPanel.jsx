@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { Download, Upload } from 'lucide-react';
+import { getToday } from '../dateUtils';
+import { exportToJson, exportToCsv, parseImportFile, planImport } from '../importExport';
+import { activeHabitsOf } from '../habitList';
+import { useI18n } from '../i18n/context';
+
+// ----------------------------------------------------------------------
+// --- EXPORT & IMPORT PANEL ---
+// ----------------------------------------------------------------------
+
+const downloadFile = (fileName, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const ImportPreview = ({ preview, habitLimit, existingCount, onConfirm, onCancel }) => {
+    const { t } = useI18n();
+    const { plan, errors, imported } = preview;
+    // Replacing moves every current habit to the trash, so it takes a second click.
+    const [isConfirmingReplace, setIsConfirmingReplace] = useState(false);
+
+    if (errors.length > 0) {
+        return (
+            <div className="p-3 bg-red-50 text-red-700 rounded-lg">
+                <p className="font-semibold">{t('import.invalid')}</p>
+                <ul className="list-disc ml-5">
+                    {errors.slice(0, 5).map((error, i) => <li key={i}>{t(error.key, error.params)}</li>)}
+                </ul>
+                <button onClick={onCancel} className="mt-2 text-sm font-semibold underline">{t('common.dismiss')}</button>
+            </div>
+        );
+    }
+
+    // Only active habits count towards the limit; archived ones are free.
+    const mergedCount = existingCount + activeHabitsOf(plan.newHabits).length;
+    const canMerge = mergedCount <= habitLimit;
+    const canReplace = activeHabitsOf(imported).length <= habitLimit;
+
+    return (
+        <div className="p-3 bg-indigo-50 rounded-lg space-y-2">
+            <p>
+                {t('import.found', { count: plan.importedCount, newCount: plan.newHabits.length, matchCount: plan.conflicts.length })}
+            </p>
+            {plan.conflicts.length > 0 && (
+                <ul className="text-xs list-disc ml-5">
+                    {plan.conflicts.map(({ existing, conflictingDays }) => (
+                        <li key={existing.id}>
+                            {t('import.exists', { name: existing.name })}
+                            {conflictingDays.length > 0 && t('import.daysDiffer', { count: conflictingDays.length })}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {(!canMerge || !canReplace) && (
+                <p className="text-xs text-yellow-800">{t('import.limit', { count: habitLimit })}</p>
+            )}
+            {isConfirmingReplace && (
+                <p className="text-xs text-red-700">{t('import.replaceWarning')}</p>
+            )}
+            <div className="flex justify-end space-x-2">
+                <button onClick={onCancel} className="px-3 py-1 text-sm font-semibold text-gray-600 bg-gray-200 rounded-lg hover:bg-gray-300">
+                    {t('common.cancel')}
+                </button>
+                <button
+                    onClick={() => onConfirm('merge')}
+                    disabled={!canMerge}
+                    className="px-3 py-1 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-40"
+                >
+                    {t('import.merge')}
+                </button>
+                <button
+                    onClick={() => (isConfirmingReplace ? onConfirm('replace') : setIsConfirmingReplace(true))}
+                    onBlur={() => setIsConfirmingReplace(false)}
+                    disabled={!canReplace}
+                    className="px-3 py-1 text-sm font-semibold text-white bg-red-500 rounded-lg hover:bg-red-600 disabled:opacity-40"
+                >
+                    {isConfirmingReplace ? t('import.confirmReplace') : t('import.replace')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// `loadAllHabits()` resolves to habits with their full history; `habits` may
+// only hold the recent history the app keeps loaded.
+const DataTransferPanel = ({ habits, habitLimit, onImport, loadAllHabits }) => {
+    const { t } = useI18n();
+    const [preview, setPreview] = useState(null);
+    const [message, setMessage] = useState('');
+
+    const stamp = getToday();
+
+    const handleExport = async (format) => {
+        try {
+            const allHabits = await loadAllHabits();
+            if (format === 'json') {
+                downloadFile(`habit-forge-${stamp}.json`, exportToJson(allHabits), 'application/json');
+            } else {
+                downloadFile(`habit-forge-${stamp}.csv`, exportToCsv(allHabits, stamp), 'text/csv');
+            }
+        } catch (e) {
+            console.error("Error exporting habits: ", e);
+            setMessage(t('export.failed'));
+        }
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const { habits: imported, errors } = parseImportFile(file.name, await file.text());
+        setMessage('');
+        setPreview({ imported, errors, plan: planImport(habits, imported) });
+    };
+
+    const handleConfirm = async (mode) => {
+        const { imported } = preview;
+        setPreview(null);
+        try {
+            await onImport(imported, mode);
+            setMessage(t('import.done', { count: imported.length }));
+        } catch (e) {
+            console.error("Error importing habits: ", e);
+            setMessage(t('import.failed'));
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex flex-wrap gap-2">
+                <button
+                    onClick={() => handleExport('json')}
+                    className="flex items-center px-3 py-2 text-sm font-semibold bg-gray-100 rounded-lg hover:bg-gray-200"
+                >
+                    <Download size={16} className="mr-1" /> {t('export.json')}
+                </button>
+                <button
+                    onClick={() => handleExport('csv')}
+                    className="flex items-center px-3 py-2 text-sm font-semibold bg-gray-100 rounded-lg hover:bg-gray-200"
+                >
+                    <Download size={16} className="mr-1" /> {t('export.csv')}
+                </button>
+                <label className="flex items-center px-3 py-2 text-sm font-semibold bg-gray-100 rounded-lg hover:bg-gray-200 cursor-pointer">
+                    <Upload size={16} className="mr-1" /> {t('import.button')}
+                    <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} className="hidden" />
+                </label>
+            </div>
+            <p className="text-xs text-gray-500">{t('import.hint')}</p>
+            {preview && (
+                <ImportPreview
+                    preview={preview}
+                    habitLimit={habitLimit}
+                    existingCount={activeHabitsOf(habits).length}
+                    onConfirm={handleConfirm}
+                    onCancel={() => setPreview(null)}
+                />
+            )}
+            {message && <p className="text-sm text-gray-700">{message}</p>}
+        </div>
+    );
+};
+
+export default DataTransferPanel;
@@ -0,0 +1,74 @@
+import React, { useMemo, useState } from 'react';
+import { Search } from 'lucide-react';
+import { formatCompletionValue } from '../completions';
+import { journalEntries } from '../notes';
+import { useI18n } from '../i18n/context';
+
+// ----------------------------------------------------------------------
+// --- JOURNAL VIEW ---
+// ----------------------------------------------------------------------
+// Every day note, newest first, with text search and a habit filter.
+// Selecting an entry jumps the habit list to that day.
+
+const JournalView = ({ habits, onSelectDate }) => {
+    const { t, formatDate } = useI18n();
+    const [search, setSearch] = useState('');
+    const [habitId, setHabitId] = useState('');
+    const entries = useMemo(() => journalEntries(habits, { search, habitId }), [habits, search, habitId]);
+
+    return (
+        <div className="p-4 bg-white rounded-2xl shadow-xl mb-6">
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+                <label className="flex flex-grow items-center p-2 border border-gray-300 rounded-lg">
+                    <Search size={16} className="mr-2 text-gray-400" />
+                    <input
+                        type="search"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder={t('journal.search')}
+                        className="flex-grow text-sm outline-none"
+                        aria-label={t('journal.search')}
+                    />
+                </label>
+                <select
+                    value={habitId}
+                    onChange={(e) => setHabitId(e.target.value)}
+                    className="p-2 text-sm border border-gray-300 rounded-lg"
+                    aria-label={t('common.habit')}
+                >
+                    <option value="">{t('common.allHabits')}</option>
+                    {habits.map(habit => <option key={habit.id} value={habit.id}>{habit.name}</option>)}
+                </select>
+            </div>
+
+            {entries.length === 0 ? (
+                <p className="text-sm text-center text-gray-500 py-4">
+                    {search || habitId ? t('journal.noMatches') : t('journal.empty')}
+                </p>
+            ) : (
+                <ul className="divide-y divide-gray-100">
+                    {entries.map(({ habit, date, note }) => (
+                        <li key={`${habit.id}-${date}`}>
+                            <button onClick={() => onSelectDate(date)} className="w-full text-left py-3 hover:bg-gray-50">
+                                <div className="flex items-center justify-between text-xs text-gray-500">
+                                    <span>
+                                        <span className="font-semibold text-gray-700">{habit.name}</span>
+                                        {' · '}{formatDate(date)}
+                                        {habit.completions && habit.completions[date] !== undefined &&
+                                            ` · ${formatCompletionValue(habit, habit.completions[date], t)}`}
+                                    </span>
+                                    {note.rating && (
+                                        <span className="font-semibold text-indigo-600">{note.rating}/5 {t(`rating.${note.rating}`)}</span>
+                                    )}
+                                </div>
+                                {note.text && <p className="mt-1 text-sm text-gray-800 whitespace-pre-line">{note.text}</p>}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default JournalView;
@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react';
+import { Flame, Loader2 } from 'lucide-react';
+import { describeSchedule } from '../schedule';
+import { recentDays } from '../sharing';
+import { useI18n } from '../i18n/context';
+
+// ----------------------------------------------------------------------
+// --- READ-ONLY SHARE PAGE ---
+// ----------------------------------------------------------------------
+// Rendered for `#/share/{shareId}` without signing in. Everything shown comes
+// from the share document, which updates live while the owner has the app
+// open and disappears when the link is revoked.
+
+const DAY_STATE_CLASSES = {
+    done: 'bg-green-500',
+    missed: 'bg-red-300',
+    skipped: 'bg-sky-300',
+    frozen: 'bg-sky-300',
+    neutral: 'bg-gray-100',
+};
+
+const SharedHabit = ({ habit, asOf }) => {
+    const i18n = useI18n();
+    const { t, formatDate } = i18n;
+    const days = recentDays(asOf, habit.recent.length);
+
+    return (
+        <li className="p-4 bg-white rounded-xl shadow-lg">
+            <div className="flex items-center justify-between mb-1">
+                <p className="font-semibold text-gray-800">{habit.name}</p>
+                <span className="flex items-center text-orange-500 font-bold" title={t('stats.currentStreak')}>
+                    <Flame size={18} className="mr-1" /> {habit.currentStreak}
+                </span>
+            </div>
+            <p className="text-xs text-gray-500 mb-3">
+                {describeSchedule(habit.schedule, i18n)}
+                {habit.type === 'quantity' && ` · ${t('habit.goal', { target: habit.target, unit: habit.unit })}`}
+                {' · '}{t('stats.longestStreak')}: {habit.longestStreak}
+            </p>
+            <div className="grid grid-cols-7 gap-1">
+                {habit.recent.map((state, i) => (
+                    <span
+                        key={days[i]}
+                        title={`${formatDate(days[i])}: ${t(`status.${state}`)}`}
+                        className={`h-5 rounded ${DAY_STATE_CLASSES[state] || DAY_STATE_CLASSES.neutral}`}
+                    />
+                ))}
+            </div>
+        </li>
+    );
+};
+
+const SharePage = ({ store, shareId }) => {
+    const { t, formatDate } = useI18n();
+    const [share, setShare] = useState(undefined); // undefined while loading, null when missing
+
+    useEffect(() => {
+        if (!store) return;
+        return store.subscribe(shareId, setShare, (error) => {
+            console.error("Error loading share: ", error);
+            setShare(null);
+        });
+    }, [store, shareId]);
+
+    let content;
+    if (!store) {
+        content = <p className="text-center text-gray-500">{t('sharePage.unavailable')}</p>;
+    } else if (share === undefined) {
+        content = (
+            <div className="flex justify-center items-center h-48">
+                <Loader2 className="animate-spin text-indigo-500" size={32} />
+            </div>
+        );
+    } else if (share === null) {
+        content = <p className="text-center text-gray-500">{t('sharePage.notFound')}</p>;
+    } else {
+        content = (
+            <>
+                <h2 className="text-2xl font-bold text-gray-800">{share.title || t('share.untitled')}</h2>
+                <p className="text-sm text-gray-500 mb-4">{t('sharePage.asOf', { date: formatDate(share.asOf) })}</p>
+                <ul className="space-y-3">
+                    {share.habits.map(habit => <SharedHabit key={habit.id} habit={habit} asOf={share.asOf} />)}
+                </ul>
+                <div className="flex flex-wrap justify-center gap-3 mt-4 text-xs text-gray-500">
+                    {['done', 'missed', 'skipped', 'neutral'].map(state => (
+                        <span key={state} className="flex items-center">
+                            <span className={`w-3 h-3 mr-1 rounded ${DAY_STATE_CLASSES[state]}`} /> {t(`status.${state}`)}
+                        </span>
+                    ))}
+                </div>
+            </>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50 font-sans">
+            <div className="container mx-auto p-4 max-w-xl">
+                <header className="flex items-center justify-between mb-6">
+                    <h1 className="text-xl font-extrabold text-indigo-700">{t('app.title')}</h1>
+                    <span className="text-xs text-gray-500">{t('sharePage.readOnly')}</span>
+                </header>
+                {content}
+                <footer className="py-4 text-center text-sm mt-8">
+                    <a href="/" className="text-indigo-600 hover:underline">{t('sharePage.openApp')}</a>
+                </footer>
+            </div>
+        </div>
+    );
+};
+
+export default SharePage;
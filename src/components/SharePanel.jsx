@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Link2, Copy, Check, Trash2 } from 'lucide-react';
+import { shareUrl } from '../sharing';
+import { useI18n } from '../i18n/context';
+
+// ----------------------------------------------------------------------
+// --- SHARE LINKS PANEL ---
+// ----------------------------------------------------------------------
+// Creates read-only share links for chosen habits and lists the user's
+// links with copy and revoke buttons. `onCreate(habitIds, title)` and
+// `onRevoke(shareId)` return promises that reject on failure.
+
+const ShareLink = ({ share, habits, onRevoke, onError }) => {
+    const { t } = useI18n();
+    const [isCopied, setIsCopied] = useState(false);
+    const [isConfirming, setIsConfirming] = useState(false);
+    const names = share.habitIds
+        .map(habitId => (habits.find(habit => habit.id === habitId) || {}).name)
+        .filter(Boolean)
+        .join(', ');
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(shareUrl(share.id));
+            setIsCopied(true);
+        } catch (e) {
+            console.error("Error copying share link: ", e);
+        }
+    };
+
+    const handleRevoke = () => {
+        if (!isConfirming) return setIsConfirming(true);
+        setIsConfirming(false);
+        onRevoke(share.id).catch(onError);
+    };
+
+    return (
+        <li className="flex items-center justify-between py-2">
+            <div className="min-w-0">
+                <p className="font-semibold truncate">{share.title || t('share.untitled')}</p>
+                <p className="text-xs text-gray-500 truncate">{names || t('share.habitCount', { count: share.habits.length })}</p>
+            </div>
+            <div className="flex items-center space-x-1 flex-shrink-0">
+                <button
+                    onClick={handleCopy}
+                    onBlur={() => setIsCopied(false)}
+                    className="flex items-center px-2 py-1 text-sm text-indigo-600 hover:bg-indigo-50 rounded-lg"
+                >
+                    {isCopied ? <Check size={16} className="mr-1" /> : <Copy size={16} className="mr-1" />}
+                    {isCopied ? t('share.copied') : t('share.copy')}
+                </button>
+                <button
+                    onClick={handleRevoke}
+                    onBlur={() => setIsConfirming(false)}
+                    className="flex items-center px-2 py-1 text-sm text-red-600 hover:bg-red-100 rounded-lg"
+                >
+                    <Trash2 size={16} className="mr-1" />
+                    {isConfirming ? t('share.confirmRevoke') : t('share.revoke')}
+                </button>
+            </div>
+        </li>
+    );
+};
+
+const SharePanel = ({ shares, habits, isAvailable, onCreate, onRevoke }) => {
+    const { t } = useI18n();
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [title, setTitle] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    if (!isAvailable) {
+        return <p className="text-xs text-gray-500">{t('share.unavailable')}</p>;
+    }
+
+    const handleError = (e) => {
+        console.error("Error updating share link: ", e);
+        setError(t('share.failed'));
+    };
+
+    const toggleHabit = (habitId) => setSelectedIds(selectedIds.includes(habitId)
+        ? selectedIds.filter(id => id !== habitId)
+        : [...selectedIds, habitId]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (selectedIds.length === 0) return;
+        setIsBusy(true);
+        setError('');
+        try {
+            // Keep the list order rather than the order of clicks.
+            await onCreate(habits.map(habit => habit.id).filter(id => selectedIds.includes(id)), title.trim());
+            setSelectedIds([]);
+            setTitle('');
+        } catch (e) {
+            handleError(e);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <p className="text-xs text-gray-500">{t('share.hint')}</p>
+            {shares.length > 0 && (
+                <ul className="divide-y divide-gray-100">
+                    {shares.map(share => (
+                        <ShareLink key={share.id} share={share} habits={habits} onRevoke={onRevoke} onError={handleError} />
+                    ))}
+                </ul>
+            )}
+            <form onSubmit={handleSubmit} className="flex flex-col space-y-2">
+                <div className="flex flex-wrap gap-2">
+                    {habits.map(habit => (
+                        <label key={habit.id} className="flex items-center px-2 py-1 bg-gray-100 rounded-lg cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={selectedIds.includes(habit.id)}
+                                onChange={() => toggleHabit(habit.id)}
+                                className="mr-1"
+                            />
+                            {habit.name}
+                        </label>
+                    ))}
+                </div>
+                <input
+                    type="text"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    placeholder={t('share.linkTitle')}
+                    maxLength={100}
+                    className="p-2 border border-gray-300 rounded-lg"
+                />
+                <div className="flex justify-end">
+                    <button
+                        type="submit"
+                        disabled={isBusy || selectedIds.length === 0}
+                        className="flex items-center px-3 py-1 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-40"
+                    >
+                        <Link2 size={16} className="mr-1" /> {t('share.create')}
+                    </button>
+                </div>
+            </form>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+export default SharePanel;
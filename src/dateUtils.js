@@ -0,0 +1,117 @@
+// ----------------------------------------------------------------------
+// --- LOCAL CALENDAR DATES ---
+// ----------------------------------------------------------------------
+// Habit days are `YYYY-MM-DD` strings in the user's own calendar: the date in
+// their IANA timezone, shifted back by one day before `dayStartHour` so that a
+// 1am check-in still counts for the previous evening. Never derive a habit day
+// from `Date#toISOString()`, which is the UTC date.
+//
+// Arithmetic on date strings below uses UTC internally only as a neutral
+// calendar, so results do not depend on the machine's timezone.
+
+const DAY_MS = 86400000;
+
+export const toDayNumber = (dateString) => {
+    const [y, m, d] = dateString.split('-').map(Number);
+    return Date.UTC(y, m - 1, d) / DAY_MS;
+};
+
+export const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().split('T')[0];
+
+export const addDays = (dateString, offset) => fromDayNumber(toDayNumber(dateString) + offset);
+
+// Whole days from `from` to `to` (negative when `to` is earlier).
+export const diffDays = (from, to) => toDayNumber(to) - toDayNumber(from);
+
+// 0 = Sunday ... 6 = Saturday, matching Date#getDay.
+export const weekdayOf = (dateString) => new Date(toDayNumber(dateString) * DAY_MS).getUTCDay();
+
+
+// ----------------------------------------------------------------------
+// --- TIMEZONE-AWARE "TODAY" ---
+// ----------------------------------------------------------------------
+
+export const detectTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+export const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// `weekStartsOn` follows Date#getDay (0 = Sunday, 1 = Monday).
+export const DEFAULT_CALENDAR_SETTINGS = { timeZone: detectTimeZone(), dayStartHour: 0, weekStartsOn: 1 };
+
+// The active settings used when callers do not pass their own. The app
+// updates them once the user's stored preferences have loaded.
+let calendarSettings = DEFAULT_CALENDAR_SETTINGS;
+
+export const configureCalendar = ({ timeZone, dayStartHour, weekStartsOn } = {}) => {
+    calendarSettings = {
+        timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_CALENDAR_SETTINGS.timeZone,
+        dayStartHour: Number.isInteger(dayStartHour) ? dayStartHour : DEFAULT_CALENDAR_SETTINGS.dayStartHour,
+        weekStartsOn: Number.isInteger(weekStartsOn) && weekStartsOn >= 0 && weekStartsOn <= 6
+            ? weekStartsOn
+            : DEFAULT_CALENDAR_SETTINGS.weekStartsOn,
+    };
+    return calendarSettings;
+};
+
+// First day of the week containing `dateString`, using the configured first
+// day of the week unless one is given.
+export const startOfWeek = (dateString, weekStartsOn = calendarSettings.weekStartsOn) =>
+    addDays(dateString, -((weekdayOf(dateString) - weekStartsOn + 7) % 7));
+
+// The seven weekday numbers in display order, starting with the first day of the week.
+export const weekdayOrder = (weekStartsOn = calendarSettings.weekStartsOn) =>
+    Array.from({ length: 7 }, (_, i) => (weekStartsOn + i) % 7);
+
+const formatters = new Map();
+const partsFormatterFor = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23',
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const localParts = (instant, timeZone) => Object.fromEntries(
+    partsFormatterFor(timeZone).formatToParts(new Date(instant)).map(({ type, value }) => [type, value])
+);
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Whether `value` is an ISO timestamp with a zone, like `createdAt`.
+export const isValidTimestamp = (value) =>
+    typeof value === 'string' && TIMESTAMP_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+// The habit day an instant (Date, ISO string or epoch ms) belongs to.
+export const toLocalDate = (instant, { timeZone, dayStartHour } = calendarSettings) => {
+    const parts = localParts(instant, timeZone);
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    return Number(parts.hour) < dayStartHour ? addDays(date, -1) : date;
+};
+
+// Wall-clock `HH:MM` of an instant in the user's timezone.
+export const toLocalTime = (instant, { timeZone } = calendarSettings) => {
+    const { hour, minute } = localParts(instant, timeZone);
+    return `${hour}:${minute}`;
+};
+
+export const getToday = (offset = 0, settings = calendarSettings) =>
+    addDays(toLocalDate(Date.now(), settings), offset);
+
+// Formats a `YYYY-MM-DD` day. The string is interpreted in UTC so the weekday
+// and day never shift with the viewer's timezone.
+export const formatCalendarDate = (dateString, locale, options) =>
+    new Date(toDayNumber(dateString) * DAY_MS).toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
@@ -0,0 +1,116 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { addDays, configureCalendar, diffDays, getToday, toLocalDate, toLocalTime, weekdayOf, DEFAULT_CALENDAR_SETTINGS } from './dateUtils';
+import { currentStreak } from './stats';
+
+const NEW_YORK = { timeZone: 'America/New_York', dayStartHour: 0 };
+const BERLIN = { timeZone: 'Europe/Berlin', dayStartHour: 0 };
+
+afterEach(() => {
+    vi.useRealTimers();
+    configureCalendar(DEFAULT_CALENDAR_SETTINGS);
+});
+
+describe('toLocalDate across daylight saving changes', () => {
+    it('keeps the local date when clocks spring forward', () => {
+        // New York skips from 02:00 EST to 03:00 EDT on 2026-03-08 (07:00 UTC).
+        expect(toLocalDate('2026-03-08T04:59:00Z', NEW_YORK)).toBe('2026-03-07');
+        expect(toLocalDate('2026-03-08T05:00:00Z', NEW_YORK)).toBe('2026-03-08');
+        expect(toLocalDate('2026-03-09T03:59:00Z', NEW_YORK)).toBe('2026-03-08');
+        expect(toLocalDate('2026-03-09T04:00:00Z', NEW_YORK)).toBe('2026-03-09');
+    });
+
+    it('keeps the local date when clocks fall back', () => {
+        // New York repeats 01:00-02:00 on 2026-11-01: 05:30 UTC is 01:30 EDT,
+        // 06:30 UTC is 01:30 EST.
+        expect(toLocalDate('2026-11-01T03:59:00Z', NEW_YORK)).toBe('2026-10-31');
+        expect(toLocalDate('2026-11-01T04:00:00Z', NEW_YORK)).toBe('2026-11-01');
+        expect(toLocalDate('2026-11-02T04:59:00Z', NEW_YORK)).toBe('2026-11-01');
+        expect(toLocalDate('2026-11-02T05:00:00Z', NEW_YORK)).toBe('2026-11-02');
+    });
+
+    it('applies the day start hour to wall-clock time on both sides of a change', () => {
+        const lateNights = { ...NEW_YORK, dayStartHour: 3 };
+        // 01:30 EST, before the spring-forward gap: still the previous evening.
+        expect(toLocalDate('2026-03-08T06:30:00Z', lateNights)).toBe('2026-03-07');
+        // 03:30 EDT, right after it: a new day.
+        expect(toLocalDate('2026-03-08T07:30:00Z', lateNights)).toBe('2026-03-08');
+        // Both 01:30s of the repeated fall-back hour belong to the evening before.
+        expect(toLocalDate('2026-11-01T05:30:00Z', { ...NEW_YORK, dayStartHour: 2 })).toBe('2026-10-31');
+        expect(toLocalDate('2026-11-01T06:30:00Z', { ...NEW_YORK, dayStartHour: 2 })).toBe('2026-10-31');
+        expect(toLocalDate('2026-11-01T07:30:00Z', { ...NEW_YORK, dayStartHour: 2 })).toBe('2026-11-01');
+    });
+
+    it('follows European switch dates, which differ from American ones', () => {
+        // Berlin switches back on 2026-10-25, a week before New York.
+        expect(toLocalDate('2026-10-24T21:59:00Z', BERLIN)).toBe('2026-10-24');
+        expect(toLocalDate('2026-10-24T22:00:00Z', BERLIN)).toBe('2026-10-25');
+        expect(toLocalDate('2026-10-25T22:59:00Z', BERLIN)).toBe('2026-10-25');
+        expect(toLocalDate('2026-10-25T23:00:00Z', BERLIN)).toBe('2026-10-26');
+        expect(toLocalTime('2026-10-25T00:30:00Z', BERLIN)).toBe('02:30');
+        expect(toLocalTime('2026-10-25T01:30:00Z', BERLIN)).toBe('02:30');
+    });
+});
+
+describe('habit days in different time zones', () => {
+    const instant = '2026-10-19T20:00:00Z';
+
+    it('gives the same instant each zone\'s own date', () => {
+        expect(toLocalDate(instant, { timeZone: 'America/Los_Angeles', dayStartHour: 0 })).toBe('2026-10-19');
+        expect(toLocalDate(instant, { timeZone: 'Pacific/Pago_Pago', dayStartHour: 0 })).toBe('2026-10-19');
+        expect(toLocalDate(instant, { timeZone: 'Asia/Tokyo', dayStartHour: 0 })).toBe('2026-10-20');
+        expect(toLocalDate(instant, { timeZone: 'Pacific/Kiritimati', dayStartHour: 0 })).toBe('2026-10-20');
+    });
+
+    it('handles zones with half-hour offsets', () => {
+        expect(toLocalTime(instant, { timeZone: 'Asia/Kolkata' })).toBe('01:30');
+        expect(toLocalDate(instant, { timeZone: 'Asia/Kolkata', dayStartHour: 0 })).toBe('2026-10-20');
+        expect(toLocalDate(instant, { timeZone: 'Asia/Kolkata', dayStartHour: 2 })).toBe('2026-10-19');
+    });
+
+    it('uses the configured zone for "today"', () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date(instant));
+        configureCalendar({ timeZone: 'Asia/Tokyo', dayStartHour: 0 });
+        expect(getToday()).toBe('2026-10-20');
+        configureCalendar({ timeZone: 'Asia/Tokyo', dayStartHour: 6 });
+        expect(getToday()).toBe('2026-10-19');
+        configureCalendar({ timeZone: 'America/Los_Angeles', dayStartHour: 0 });
+        expect(getToday()).toBe('2026-10-19');
+        expect(getToday(-1)).toBe('2026-10-18');
+    });
+
+    it('falls back to the default zone for an unknown one', () => {
+        expect(configureCalendar({ timeZone: 'Mars/Olympus_Mons' }).timeZone).toBe(DEFAULT_CALENDAR_SETTINGS.timeZone);
+    });
+});
+
+describe('date arithmetic', () => {
+    it('counts whole calendar days regardless of daylight saving', () => {
+        expect(addDays('2026-03-07', 1)).toBe('2026-03-08');
+        expect(addDays('2026-03-08', 1)).toBe('2026-03-09');
+        expect(addDays('2026-11-01', -1)).toBe('2026-10-31');
+        expect(diffDays('2026-03-01', '2026-04-01')).toBe(31);
+        expect(diffDays('2026-10-01', '2026-11-30')).toBe(60);
+        expect(weekdayOf('2026-03-08')).toBe(0);
+        expect(weekdayOf('2026-11-01')).toBe(0);
+    });
+});
+
+describe('streaks across daylight saving changes', () => {
+    it('does not break when a 23-hour or 25-hour day falls inside the streak', () => {
+        configureCalendar({ ...NEW_YORK, weekStartsOn: 1 });
+        const days = ['2026-03-06', '2026-03-07', '2026-03-08', '2026-03-09', '2026-03-10'];
+        const habit = {
+            createdAt: '2026-03-06T14:00:00Z',
+            completions: Object.fromEntries(days.map(day => [day, true])),
+        };
+        expect(currentStreak(habit, '2026-03-10')).toBe(5);
+
+        const autumn = ['2026-10-30', '2026-10-31', '2026-11-01', '2026-11-02'];
+        const autumnHabit = {
+            createdAt: '2026-10-30T14:00:00Z',
+            completions: Object.fromEntries(autumn.map(day => [day, true])),
+        };
+        expect(currentStreak(autumnHabit, '2026-11-02')).toBe(4);
+    });
+});
@@ -0,0 +1,49 @@
+// ----------------------------------------------------------------------
+// --- HABIT LIST ORDERING & LIFECYCLE ---
+// ----------------------------------------------------------------------
+
+// Archived habits are hidden from the daily list and do not count towards
+// the habit limit, but keep their full history.
+export const isArchived = (habit) => Boolean(habit.archived);
+
+// Deleted habits sit in the trash (with `deletedAt`) until restored or purged.
+export const isTrashed = (habit) => Boolean(habit.deletedAt);
+
+// Only active habits count towards the habit limit (see plans.js).
+export const isActive = (habit) => !isArchived(habit) && !isTrashed(habit);
+
+export const activeHabitsOf = (habits) => habits.filter(isActive);
+
+export const archivedHabitsOf = (habits) => habits.filter(habit => isArchived(habit) && !isTrashed(habit));
+
+export const trashedHabitsOf = (habits) => habits.filter(isTrashed);
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Trashed habits whose retention period has run out at `now` (epoch ms).
+export const expiredTrashOf = (habits, now, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) =>
+    trashedHabitsOf(habits).filter(habit => now - Date.parse(habit.deletedAt) >= retentionDays * 86400000);
+
+// Whole days left before a trashed habit is purged.
+export const daysUntilPurge = (habit, now, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) =>
+    Math.max(0, Math.ceil((Date.parse(habit.deletedAt) + retentionDays * 86400000 - now) / 86400000));
+
+// An order value larger than any existing one, so new habits never collide
+// with a gap left by a removed habit.
+export const nextOrder = (habits) =>
+    habits.reduce((max, habit) => Math.max(max, Number.isFinite(habit.order) ? habit.order : -1), -1) + 1;
+
+export const moveItem = (list, fromIndex, toIndex) => {
+    const next = [...list];
+    const [item] = next.splice(fromIndex, 1);
+    next.splice(toIndex, 0, item);
+    return next;
+};
+
+// Renumbers `orderedHabits` to 0..n-1 and returns only the habits whose
+// `order` actually changes, as { habitId, order } pairs.
+export const orderUpdates = (orderedHabits) =>
+    orderedHabits
+        .map((habit, order) => ({ habitId: habit.id, order, previous: habit.order }))
+        .filter(({ order, previous }) => order !== previous)
+        .map(({ habitId, order }) => ({ habitId, order }));
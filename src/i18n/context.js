@@ -0,0 +1,10 @@
+import { createContext, createElement, useContext } from 'react';
+import { createI18n, DEFAULT_LOCALE } from './index';
+
+// Components read the active locale through `useI18n()`; the app provides a
+// `createI18n()` value built from the user's language setting.
+const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+export const I18nProvider = ({ value, children }) => createElement(I18nContext.Provider, { value }, children);
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,60 @@
+import { addDays, formatCalendarDate } from '../dateUtils';
+import en from './messages/en';
+import de from './messages/de';
+
+// ----------------------------------------------------------------------
+// --- LOCALIZATION ---
+// ----------------------------------------------------------------------
+// Catalogs map message keys to either a string with `{name}` placeholders or,
+// for counts, an object of plural forms keyed by `Intl.PluralRules`
+// categories (`one`, `few`, `other`, ...). A plural message is chosen by the
+// `count` parameter. Keys missing from a catalog fall back to English.
+
+export const LOCALES = {
+    en: { label: 'English', messages: en },
+    de: { label: 'Deutsch', messages: de },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+export const isSupportedLocale = (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+// The first of the browser's preferred languages that has a catalog.
+export const detectLocale = () => {
+    const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+    return preferred.map(tag => (tag || '').split('-')[0].toLowerCase()).find(isSupportedLocale) || DEFAULT_LOCALE;
+};
+
+const interpolate = (template, params) =>
+    template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+
+// 2023-01-01 was a Sunday, so adding a weekday number (0 = Sunday) lands on it.
+const REFERENCE_SUNDAY = '2023-01-01';
+
+// Everything the UI needs to speak one locale: `t(key, params)` plus
+// locale-aware date and number formatting.
+export const createI18n = (requestedLocale) => {
+    const locale = isSupportedLocale(requestedLocale) ? requestedLocale : DEFAULT_LOCALE;
+    const { messages } = LOCALES[locale];
+    const pluralRules = new Intl.PluralRules(locale);
+    const numberFormat = new Intl.NumberFormat(locale);
+
+    const t = (key, params = {}) => {
+        let message = messages[key] ?? en[key];
+        if (message === undefined) return key;
+        if (typeof message === 'object') message = message[pluralRules.select(params.count)] ?? message.other;
+        const values = typeof params.count === 'number' ? { ...params, count: numberFormat.format(params.count) } : params;
+        return interpolate(message, values);
+    };
+
+    return {
+        locale,
+        t,
+        formatNumber: (value) => numberFormat.format(value),
+        // `YYYY-MM-DD` days; defaults to a medium date such as "Oct 19, 2026".
+        formatDate: (dateString, options = { dateStyle: 'medium' }) => formatCalendarDate(dateString, locale, options),
+        formatDateTime: (instant) => new Date(instant).toLocaleString(locale),
+        formatWeekday: (weekday, width = 'short') =>
+            formatCalendarDate(addDays(REFERENCE_SUNDAY, weekday), locale, { weekday: width }),
+    };
+};
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { createI18n, LOCALES } from './index';
+import en from './messages/en';
+import de from './messages/de';
+
+const placeholdersOf = (message) =>
+    [...new Set((typeof message === 'object' ? Object.values(message) : [message]).flatMap(text => text.match(/\{\w+\}/g) || []))].sort();
+
+describe('message catalogs', () => {
+    it('have the same keys in every locale', () => {
+        Object.values(LOCALES).forEach(({ messages }) => {
+            expect(Object.keys(messages).sort()).toEqual(Object.keys(en).sort());
+        });
+    });
+
+    it('use the same placeholders and plural shape in every locale', () => {
+        Object.keys(en).forEach(key => {
+            expect({ key, placeholders: placeholdersOf(de[key]) }).toEqual({ key, placeholders: placeholdersOf(en[key]) });
+            expect({ key, plural: typeof de[key] === 'object' }).toEqual({ key, plural: typeof en[key] === 'object' });
+        });
+    });
+});
+
+describe('t', () => {
+    it('fills in placeholders and leaves unknown ones as they are', () => {
+        const { t } = createI18n('en');
+        expect(t('importError.newerVersion', { version: 3 })).toContain('3');
+        expect(t('importError.newerVersion')).toContain('{version}');
+    });
+
+    it('picks the plural form by count and formats the count for the locale', () => {
+        const { t } = createI18n('en');
+        expect(t('settings.days', { count: 1 })).toBe('1 day');
+        expect(t('settings.days', { count: 1200 })).toBe('1,200 days');
+        expect(t('stats.lastDays', { count: 1 })).toBe('Last day');
+
+        const german = createI18n('de');
+        expect(german.t('schedule.everyNDays', { count: 3 })).toBe('Alle 3 Tage');
+        expect(german.t('schedule.timesPerWeek', { count: 2 })).toBe('2× pro Woche');
+    });
+
+    it('falls back to English, then to the key', () => {
+        expect(createI18n('fr').locale).toBe('en');
+        expect(createI18n('de').t('no.such.key')).toBe('no.such.key');
+    });
+});
@@ -0,0 +1,294 @@
+// German catalog.
+const de = {
+    // App & header
+    'app.title': 'Habit Forge Lite',
+    'app.habitsForToday': 'Gewohnheiten für heute',
+    'app.habitsFor': 'Gewohnheiten am {date}',
+    'app.loading': 'Daten werden geladen …',
+    'app.empty': 'Noch keine Gewohnheiten erfasst.',
+    'app.emptyHint': 'Leg unten los und bau dir deine Routine auf!',
+    'app.footerFirebase': 'Mit Firebase & React',
+    'app.footerLocal': 'Offline (lokaler Speicher) · React',
+    'header.signedInAs': 'Angemeldet als',
+    'header.userId': 'Benutzer-ID:',
+    'header.userIdHint': 'Deine eindeutige Sitzungs-ID',
+    'header.openSettings': 'Einstellungen öffnen',
+    'common.loading': 'Wird geladen …',
+    'common.save': 'Speichern',
+    'common.cancel': 'Abbrechen',
+    'common.clear': 'Löschen',
+    'common.add': 'Hinzufügen',
+    'common.restore': 'Wiederherstellen',
+    'common.undo': 'Rückgängig',
+    'common.dismiss': 'Schließen',
+    'common.habit': 'Gewohnheit',
+    'common.allHabits': 'Alle Gewohnheiten',
+    'habitLimit.reached': { one: 'Du kannst bis zu {count} aktive Gewohnheit verfolgen.', other: 'Du kannst bis zu {count} aktive Gewohnheiten verfolgen.' },
+
+    // Sync status
+    'sync.saved': 'Alle Änderungen gespeichert',
+    'sync.offline': 'Offline',
+    'sync.saving': '{count} wird gespeichert …',
+    'sync.syncing': '{count} wird synchronisiert …',
+    'banner.offline': 'Du bist offline. Änderungen bleiben auf diesem Gerät und werden gespeichert, sobald du wieder verbunden bist.',
+
+    // Failed writes
+    'writeError.create': 'Die Gewohnheit konnte nicht erstellt werden.',
+    'writeError.update': 'Deine Änderung konnte nicht gespeichert werden.',
+    'writeError.remove': 'Die Gewohnheit konnte nicht gelöscht werden.',
+    'writeError.completion': 'Dein Check-in konnte nicht gespeichert werden.',
+    'writeError.note': 'Deine Notiz konnte nicht gespeichert werden.',
+    'writeError.settings': 'Deine Einstellungen konnten nicht gespeichert werden.',
+    'writeError.permissionDenied': 'Dir fehlt die Berechtigung.',
+    'writeError.unknown': 'Unbekannter Fehler.',
+
+    // Views & date navigation
+    'view.week': 'Woche',
+    'view.month': 'Monat',
+    'view.year': 'Jahr',
+    'view.journal': 'Tagebuch',
+    'nav.previousWeek': 'Vorherige Woche',
+    'nav.nextWeek': 'Nächste Woche',
+    'nav.today': 'Heute',
+    'nav.goToToday': 'Zu heute',
+    'nav.vacation': 'Urlaub',
+    'nav.onVacation': 'Im Urlaub: alle Gewohnheiten werden übersprungen.',
+    'nav.skipRemaining': 'Alle offenen Gewohnheiten an diesem Tag überspringen',
+    'calendar.previousMonth': 'Vorheriger Monat',
+    'calendar.nextMonth': 'Nächster Monat',
+    'calendar.pastYear': 'Letzte 12 Monate',
+    'calendar.summary': '{date}: {done} von {due} erledigt',
+    'calendar.summaryVacation': '{date}: {done} von {due} erledigt (Urlaub)',
+    'calendar.less': 'Weniger',
+    'calendar.more': 'Mehr',
+
+    // Habit item
+    'habit.reorder': '{name} verschieben. Mit den Pfeiltasten nach oben und unten bewegen.',
+    'habit.currentStreak': 'Aktuelle Serie',
+    'habit.goal': 'Ziel: {target} {unit}',
+    'habit.reminderAt': 'Erinnerung {time}',
+    'habit.created': 'Erstellt: {date}',
+    'habit.editedRetroactively': 'Nachträglich geändert',
+    'habit.markComplete': 'Als erledigt markieren',
+    'habit.markIncomplete': 'Als nicht erledigt markieren',
+    'habit.skipDay': 'Tag überspringen',
+    'habit.unskipDay': 'Überspringen aufheben',
+    'habit.showStats': 'Statistik anzeigen',
+    'habit.addNote': 'Notiz hinzufügen',
+    'habit.setReminder': 'Erinnerung einstellen',
+    'habit.showHistory': 'Änderungsverlauf anzeigen',
+    'habit.archive': 'Gewohnheit archivieren',
+    'habit.delete': 'Gewohnheit löschen',
+    'habit.name': 'Name der Gewohnheit',
+    'habit.rename': 'Gewohnheit umbenennen',
+    'history.backfilled': '(nachgetragen)',
+    'history.changedBy': 'Geändert von {user}',
+    'value.done': 'erledigt',
+    'value.notDone': 'nicht erledigt',
+    'value.skipped': 'übersprungen',
+    'quantity.decrease': 'Um {step} verringern',
+    'quantity.increase': 'Um {step} erhöhen',
+    'quantity.amount': 'Menge ({unit})',
+    'quantity.units': 'Einheiten',
+    'progress.ofTarget': '{value} von {target}',
+
+    // Day status
+    'status.done': 'Erledigt',
+    'status.satisfied': 'Wochenziel erreicht',
+    'status.due': 'Fällig',
+    'status.missed': 'Verpasst',
+    'status.skipped': 'Übersprungen',
+    'status.frozen': 'Serienschutz',
+    'status.not-due': 'Ruhetag',
+    'status.neutral': 'Nichts fällig',
+    'status.weekProgress': ' · {done}/{count} diese Woche',
+
+    // Statistics
+    'stats.currentStreak': 'Aktuelle Serie',
+    'stats.longestStreak': 'Längste Serie',
+    'stats.total': 'Gesamt',
+    'stats.lastDays': { one: 'Letzter Tag', other: 'Letzte {count} Tage' },
+    'stats.weekdayDetail': '{completed} von {total}',
+    'stats.freezesUsed': { one: '{used} von {count} Serienschutz-Tag diesen Monat genutzt', other: '{used} von {count} Serienschutz-Tagen diesen Monat genutzt' },
+    'stats.since': 'Die Statistik umfasst die Tage ab {date}; ältere Tage werden nicht geladen.',
+
+    // Schedules
+    'schedule.daily': 'Täglich',
+    'schedule.timesPerWeek': '{count}× pro Woche',
+    'schedule.everyOtherDay': 'Jeden zweiten Tag',
+    'schedule.everyNDays': { one: 'Jeden Tag', other: 'Alle {count} Tage' },
+    'schedule.label': 'Zeitplan',
+    'schedule.option.daily': 'Jeden Tag',
+    'schedule.option.weekdays': 'Bestimmte Tage',
+    'schedule.option.timesPerWeek': 'Mal pro Woche',
+    'schedule.option.everyNDays': 'Alle N Tage',
+    'schedule.timesPerWeekSuffix': 'Mal pro Woche',
+    'schedule.everyPrefix': 'Alle',
+    'schedule.everySuffix': 'Tage',
+
+    // Notes & reminders
+    'note.title': 'Notiz für {date}',
+    'note.placeholder': 'Wie lief es?',
+    'note.rating': 'Stimmung / Anstrengung',
+    'rating.1': 'Furchtbar',
+    'rating.2': 'Schwer',
+    'rating.3': 'Okay',
+    'rating.4': 'Gut',
+    'rating.5': 'Super',
+    'reminder.remindAt': 'Erinnere mich um',
+    'reminder.turnOff': 'Ausschalten',
+    'reminder.blocked': 'Benachrichtigungen sind für diese Seite in deinen Browsereinstellungen blockiert.',
+    'reminder.unsupported': 'Dieser Browser unterstützt keine Benachrichtigungen.',
+    'reminder.title': 'Zeit für „{name}“',
+    'reminder.body': 'Du hast heute noch nicht abgehakt.',
+    'journal.search': 'Notizen durchsuchen',
+    'journal.noMatches': 'Keine Notizen passen zu deiner Suche.',
+    'journal.empty': 'Noch keine Notizen. Füge über den Notiz-Button einer Gewohnheit eine hinzu.',
+
+    // Challenges
+    'challenge.toggle': 'Zeitlich begrenzte Challenge hinzufügen',
+    'challenge.kind': 'Art der Challenge',
+    'challenge.option.streak': 'Serie erreichen von',
+    'challenge.option.count': 'Abhaken an',
+    'challenge.target': 'Zieltage',
+    'challenge.days': 'Tagen',
+    'challenge.start': 'Beginn der Challenge',
+    'challenge.end': 'Ende der Challenge',
+    'challenge.between': 'zwischen',
+    'challenge.to': 'und',
+    'challenge.tooLong': { one: 'Dieser Zeitraum hat nur {count} Tag.', other: 'Dieser Zeitraum hat nur {count} Tage.' },
+    'challenge.name.streak': '{target}-Tage-Serie',
+    'challenge.name.count': '{target} Check-ins',
+    'challenge.upcoming': 'Beginnt am {date}',
+    'challenge.endsOn': 'endet am {date}',
+    'challenge.projected': 'voraussichtlich am {date} geschafft',
+    'challenge.behind': 'in diesem Tempo am {date}, nach dem Ende',
+    'challenge.edit': 'Challenge festlegen',
+    'challenge.remove': 'Challenge entfernen',
+    'challenge.past': 'Vergangene Challenges',
+    'challenge.outcome.succeeded': 'Geschafft',
+    'challenge.outcome.failed': 'Verfehlt',
+
+    // Adding habits
+    'addHabit.open': 'Neue Gewohnheit hinzufügen',
+    'addHabit.placeholder': 'Name der neuen Gewohnheit (z. B. 30 Min. lesen)',
+    'addHabit.submit': 'Gewohnheit hinzufügen',
+    'addHabit.limitReached': { one: 'Limit erreicht: Du kannst bis zu {count} Gewohnheit verfolgen.', other: 'Limit erreicht: Du kannst bis zu {count} Gewohnheiten verfolgen.' },
+    'measure.toggle': 'Eine Menge erfassen (z. B. Gläser, Minuten)',
+    'measure.defaultUnit': 'Gläser',
+    'measure.target': 'Tagesziel',
+    'measure.unit': 'Einheit',
+    'measure.unitPlaceholder': 'Einheit',
+    'measure.perDay': 'pro Tag, in Schritten von',
+    'measure.step': 'Schrittweite',
+
+    // Archive & trash
+    'archived.title': 'Archivierte Gewohnheiten ({count})',
+    'trash.title': 'Papierkorb ({count})',
+    'trash.deletedUndated': 'Gelöscht',
+    'trash.deleted': { one: 'Gelöscht am {date} · endgültig gelöscht in {count} Tag', other: 'Gelöscht am {date} · endgültig gelöscht in {count} Tagen' },
+    'trash.confirm': 'Zum Bestätigen erneut klicken',
+    'trash.deleteForever': 'Endgültig löschen',
+    'toast.movedToTrash': '„{name}“ wurde in den Papierkorb verschoben.',
+
+    // Settings
+    'settings.title': 'Einstellungen',
+    'settings.close': 'Einstellungen schließen',
+    'settings.account': 'Konto',
+    'settings.language': 'Sprache',
+    'settings.calendar': 'Kalender',
+    'settings.timeZone': 'Zeitzone',
+    'settings.dayStart': 'Tag beginnt um',
+    'settings.dayStartHint': 'Check-ins vor dieser Uhrzeit zählen für den Vortag.',
+    'settings.weekStart': 'Woche beginnt am',
+    'settings.trashRetention': 'Gelöschte Gewohnheiten aufbewahren für',
+    'settings.days': { one: '{count} Tag', other: '{count} Tage' },
+    'settings.breaks': 'Pausen',
+    'settings.freezes': 'Serienschutz pro Monat',
+    'settings.off': 'Aus',
+    'settings.breaksHint': 'Urlaubstage und übersprungene Tage unterbrechen nie eine Serie. Der Serienschutz deckt pro Monat und Gewohnheit so viele verpasste Tage ab.',
+    'settings.data': 'Deine Daten',
+    'vacation.start': 'Urlaubsbeginn',
+    'vacation.end': 'Urlaubsende',
+    'vacation.to': 'bis',
+    'vacation.remove': 'Urlaub entfernen',
+
+    // Sharing
+    'share.title': 'Teilen',
+    'share.hint': 'Veröffentliche ausgewählte Gewohnheiten auf einer schreibgeschützten Seite. Wer den Link hat, sieht Serien und die letzten Tage; Notizen bleiben privat.',
+    'share.unavailable': 'Teilen ist im reinen Offline-Modus nicht verfügbar.',
+    'share.linkTitle': 'Seitentitel (optional)',
+    'share.untitled': 'Geteilte Gewohnheiten',
+    'share.create': 'Link erstellen',
+    'share.copy': 'Link kopieren',
+    'share.copied': 'Kopiert!',
+    'share.revoke': 'Widerrufen',
+    'share.confirmRevoke': 'Zum Widerrufen erneut klicken',
+    'share.failed': 'Der Link konnte nicht aktualisiert werden. Bitte versuche es erneut.',
+    'share.habitCount': { one: '{count} Gewohnheit', other: '{count} Gewohnheiten' },
+    'sharePage.readOnly': 'Schreibgeschützte Fortschrittsseite',
+    'sharePage.asOf': 'Stand {date}',
+    'sharePage.notFound': 'Dieser Link wurde widerrufen oder existiert nicht.',
+    'sharePage.unavailable': 'Geteilte Seiten sind im reinen Offline-Modus nicht verfügbar.',
+    'sharePage.openApp': 'Eigene Gewohnheiten verfolgen',
+
+    // Account
+    'account.unavailable': 'Konten sind im reinen Offline-Modus nicht verfügbar.',
+    'account.signedInAs': 'Angemeldet als',
+    'account.signOut': 'Abmelden',
+    'account.guestHint': 'Du nutzt eine Gastsitzung. Melde dich an, damit deine Gewohnheiten erhalten bleiben, wenn du diesen Browser zurücksetzt oder das Gerät wechselst. Bei der Anmeldung in ein bestehendes Konto werden die Gewohnheiten dieser Sitzung übernommen.',
+    'account.email': 'E-Mail',
+    'account.password': 'Passwort',
+    'account.google': 'Weiter mit Google',
+    'account.submit': 'Anmelden / Registrieren',
+    'account.notCarried': { one: 'In deinem Konto ist kein Platz für {count} Gewohnheit dieser Sitzung, sie wurde nicht übernommen: {names}', other: 'In deinem Konto ist kein Platz für {count} Gewohnheiten dieser Sitzung, sie wurden nicht übernommen: {names}' },
+    'plan.free': 'Free',
+    'plan.pro': 'Pro',
+    'plan.summary': { one: 'Tarif {plan} · bis zu {count} aktive Gewohnheit', other: 'Tarif {plan} · bis zu {count} aktive Gewohnheiten' },
+    'auth.invalidEmail': 'Diese E-Mail-Adresse ist ungültig.',
+    'auth.weakPassword': 'Passwörter brauchen mindestens 6 Zeichen.',
+    'auth.wrongCredentials': 'E-Mail oder Passwort ist falsch.',
+    'auth.cancelled': 'Die Anmeldung wurde abgebrochen.',
+    'auth.offline': 'Du scheinst offline zu sein.',
+    'auth.unknown': 'Etwas ist schiefgelaufen. Bitte versuch es erneut.',
+
+    // Import & export
+    'export.json': 'JSON exportieren',
+    'export.csv': 'CSV exportieren',
+    'export.failed': 'Export fehlgeschlagen. Bitte versuch es erneut.',
+    'import.button': 'Importieren',
+    'import.hint': 'Importiere ein Habit-Forge-Lite-JSON-Backup oder eine Checkmarks.csv aus Loop Habit Tracker.',
+    'import.invalid': 'Diese Datei kann nicht importiert werden:',
+    'import.found': { one: '{count} Gewohnheit gefunden: {newCount} neu, {matchCount} bereits vorhanden.', other: '{count} Gewohnheiten gefunden: {newCount} neu, {matchCount} bereits vorhanden.' },
+    'import.exists': '„{name}“ existiert bereits',
+    'import.daysDiffer': { one: ' · {count} Tag weicht ab, beim Zusammenführen bleibt dein aktueller Wert erhalten', other: ' · {count} Tage weichen ab, beim Zusammenführen bleiben deine aktuellen Werte erhalten' },
+    'import.limit': 'Du kannst bis zu {count} Gewohnheiten verfolgen; einige Optionen sind nicht verfügbar.',
+    'import.merge': 'Zusammenführen',
+    'import.replace': 'Alles ersetzen',
+    'import.confirmReplace': 'Zum Ersetzen erneut klicken',
+    'import.replaceWarning': 'Deine aktuellen Gewohnheiten kommen in den Papierkorb, aus dem du sie wiederherstellen kannst, bis sie endgültig gelöscht werden.',
+    'import.done': { one: '{count} Gewohnheit importiert.', other: '{count} Gewohnheiten importiert.' },
+    'import.failed': 'Import fehlgeschlagen. Einige Änderungen wurden möglicherweise nicht übernommen.',
+    'importError.notJson': 'Die Datei ist kein gültiges JSON.',
+    'importError.notBackup': 'Die Datei ist kein Habit-Forge-Lite-Backup.',
+    'importError.newerVersion': 'Backup-Version {version} ist neuer als diese App unterstützt.',
+    'importError.notLoopExport': 'Die Datei ist kein Checkmarks.csv-Export aus Loop Habit Tracker.',
+    'importError.rowDate': 'Zeile {row} hat ein ungültiges Datum „{date}“.',
+    'importError.notAnObject': 'Gewohnheit Nr. {number} ist kein Objekt.',
+    'importError.noId': 'Gewohnheit Nr. {number} hat keine ID.',
+    'importError.noName': 'Gewohnheit Nr. {number} hat keinen Namen.',
+    'importError.completions': 'Gewohnheit Nr. {number} hat ungültige Check-ins.',
+    'importError.completionDates': 'Gewohnheit Nr. {number} hat ungültige Check-in-Daten: {dates}.',
+    'importError.completionValues': 'Gewohnheit Nr. {number} hat ungültige Check-in-Werte am: {dates}.',
+    'importError.createdAt': 'Gewohnheit Nr. {number} hat ein fehlendes oder ungültiges Erstellungsdatum.',
+    'importError.deletedAt': 'Gewohnheit Nr. {number} hat ein ungültiges Löschdatum.',
+    'importError.order': 'Gewohnheit Nr. {number} hat eine ungültige Position.',
+    'importError.archived': 'Gewohnheit Nr. {number} hat eine ungültige Archiv-Markierung.',
+    'importError.duplicateId': 'Gewohnheit Nr. {number} hat dieselbe ID wie Gewohnheit Nr. {first}.',
+    'importError.notes': 'Gewohnheit Nr. {number} hat ungültige Notizen.',
+    'importError.schedule': 'Gewohnheit Nr. {number} hat einen ungültigen Zeitplan.',
+    'importError.measure': 'Gewohnheit Nr. {number} hat einen ungültigen Typ, ein ungültiges Ziel oder eine ungültige Schrittweite.',
+    'importError.challenge': 'Gewohnheit Nr. {number} hat eine ungültige Challenge.',
+};
+
+export default de;
@@ -0,0 +1,294 @@
+// English catalog. It is the fallback for keys other catalogs do not define.
+const en = {
+    // App & header
+    'app.title': 'Habit Forge Lite',
+    'app.habitsForToday': 'Habits for Today',
+    'app.habitsFor': 'Habits for {date}',
+    'app.loading': 'Loading Data...',
+    'app.empty': 'No habits tracked yet.',
+    'app.emptyHint': 'Use the button below to start building your routine!',
+    'app.footerFirebase': 'Powered by Firebase & React',
+    'app.footerLocal': 'Running offline (local storage) · React',
+    'header.signedInAs': 'Signed in as',
+    'header.userId': 'User ID:',
+    'header.userIdHint': 'Your unique session ID',
+    'header.openSettings': 'Open Settings',
+    'common.loading': 'Loading...',
+    'common.save': 'Save',
+    'common.cancel': 'Cancel',
+    'common.clear': 'Clear',
+    'common.add': 'Add',
+    'common.restore': 'Restore',
+    'common.undo': 'Undo',
+    'common.dismiss': 'Dismiss',
+    'common.habit': 'Habit',
+    'common.allHabits': 'All habits',
+    'habitLimit.reached': { one: 'You can track up to {count} active habit.', other: 'You can track up to {count} active habits.' },
+
+    // Sync status
+    'sync.saved': 'All changes saved',
+    'sync.offline': 'Offline',
+    'sync.saving': 'Saving {count}…',
+    'sync.syncing': 'Syncing {count}…',
+    'banner.offline': "You're offline. Changes are kept on this device and will be saved when you reconnect.",
+
+    // Failed writes
+    'writeError.create': "Couldn't create the habit.",
+    'writeError.update': "Couldn't save your change.",
+    'writeError.remove': "Couldn't delete the habit.",
+    'writeError.completion': "Couldn't save your check-in.",
+    'writeError.note': "Couldn't save your note.",
+    'writeError.settings': "Couldn't save your settings.",
+    'writeError.permissionDenied': 'You do not have permission.',
+    'writeError.unknown': 'Unknown error.',
+
+    // Views & date navigation
+    'view.week': 'Week',
+    'view.month': 'Month',
+    'view.year': 'Year',
+    'view.journal': 'Journal',
+    'nav.previousWeek': 'Previous Week',
+    'nav.nextWeek': 'Next Week',
+    'nav.today': 'Today',
+    'nav.goToToday': 'Go To Today',
+    'nav.vacation': 'Vacation',
+    'nav.onVacation': 'On vacation: every habit is skipped.',
+    'nav.skipRemaining': 'Skip all remaining habits for this day',
+    'calendar.previousMonth': 'Previous Month',
+    'calendar.nextMonth': 'Next Month',
+    'calendar.pastYear': 'Past 12 months',
+    'calendar.summary': '{date}: {done} of {due} done',
+    'calendar.summaryVacation': '{date}: {done} of {due} done (vacation)',
+    'calendar.less': 'Less',
+    'calendar.more': 'More',
+
+    // Habit item
+    'habit.reorder': 'Reorder {name}. Use the up and down arrow keys to move it.',
+    'habit.currentStreak': 'Current streak',
+    'habit.goal': 'Goal: {target} {unit}',
+    'habit.reminderAt': 'Reminder {time}',
+    'habit.created': 'Created: {date}',
+    'habit.editedRetroactively': 'Edited retroactively',
+    'habit.markComplete': 'Mark Complete',
+    'habit.markIncomplete': 'Mark Incomplete',
+    'habit.skipDay': 'Skip Day',
+    'habit.unskipDay': 'Unskip Day',
+    'habit.showStats': 'Show Statistics',
+    'habit.addNote': 'Add Note',
+    'habit.setReminder': 'Set Reminder',
+    'habit.showHistory': 'Show Change History',
+    'habit.archive': 'Archive Habit',
+    'habit.delete': 'Delete Habit',
+    'habit.name': 'Habit name',
+    'habit.rename': 'Rename Habit',
+    'history.backfilled': '(backfilled)',
+    'history.changedBy': 'Changed by {user}',
+    'value.done': 'done',
+    'value.notDone': 'not done',
+    'value.skipped': 'skipped',
+    'quantity.decrease': 'Decrease by {step}',
+    'quantity.increase': 'Increase by {step}',
+    'quantity.amount': 'Amount ({unit})',
+    'quantity.units': 'units',
+    'progress.ofTarget': '{value} of {target}',
+
+    // Day status
+    'status.done': 'Done',
+    'status.satisfied': 'Weekly goal met',
+    'status.due': 'Due',
+    'status.missed': 'Missed',
+    'status.skipped': 'Skipped',
+    'status.frozen': 'Streak freeze',
+    'status.not-due': 'Rest day',
+    'status.neutral': 'Nothing due',
+    'status.weekProgress': ' · {done}/{count} this week',
+
+    // Statistics
+    'stats.currentStreak': 'Current streak',
+    'stats.longestStreak': 'Longest streak',
+    'stats.total': 'Total',
+    'stats.lastDays': { one: 'Last day', other: 'Last {count} days' },
+    'stats.weekdayDetail': '{completed} of {total}',
+    'stats.freezesUsed': { one: '{used} of {count} streak freeze used this month', other: '{used} of {count} streak freezes used this month' },
+    'stats.since': 'Stats cover {date} onwards; older days are not loaded.',
+
+    // Schedules
+    'schedule.daily': 'Daily',
+    'schedule.timesPerWeek': '{count}× per week',
+    'schedule.everyOtherDay': 'Every other day',
+    'schedule.everyNDays': { one: 'Every day', other: 'Every {count} days' },
+    'schedule.label': 'Schedule',
+    'schedule.option.daily': 'Every day',
+    'schedule.option.weekdays': 'Specific days',
+    'schedule.option.timesPerWeek': 'Times per week',
+    'schedule.option.everyNDays': 'Every N days',
+    'schedule.timesPerWeekSuffix': 'times per week',
+    'schedule.everyPrefix': 'Every',
+    'schedule.everySuffix': 'days',
+
+    // Notes & reminders
+    'note.title': 'Note for {date}',
+    'note.placeholder': 'How did it go?',
+    'note.rating': 'Mood / effort',
+    'rating.1': 'Awful',
+    'rating.2': 'Hard',
+    'rating.3': 'Okay',
+    'rating.4': 'Good',
+    'rating.5': 'Great',
+    'reminder.remindAt': 'Remind me at',
+    'reminder.turnOff': 'Turn off',
+    'reminder.blocked': 'Notifications are blocked for this site in your browser settings.',
+    'reminder.unsupported': 'This browser does not support notifications.',
+    'reminder.title': 'Time for "{name}"',
+    'reminder.body': "You haven't checked in today yet.",
+    'journal.search': 'Search notes',
+    'journal.noMatches': 'No notes match your search.',
+    'journal.empty': 'No notes yet. Add one from a habit with the note button.',
+
+    // Challenges
+    'challenge.toggle': 'Add a time-boxed challenge',
+    'challenge.kind': 'Challenge type',
+    'challenge.option.streak': 'Reach a streak of',
+    'challenge.option.count': 'Check in on',
+    'challenge.target': 'Target days',
+    'challenge.days': 'days',
+    'challenge.start': 'Challenge start',
+    'challenge.end': 'Challenge end',
+    'challenge.between': 'between',
+    'challenge.to': 'and',
+    'challenge.tooLong': { one: 'This window only has {count} day.', other: 'This window only has {count} days.' },
+    'challenge.name.streak': '{target}-day streak',
+    'challenge.name.count': '{target} check-ins',
+    'challenge.upcoming': 'Starts {date}',
+    'challenge.endsOn': 'ends {date}',
+    'challenge.projected': 'on track for {date}',
+    'challenge.behind': 'at this pace {date}, after the deadline',
+    'challenge.edit': 'Set Challenge',
+    'challenge.remove': 'Remove challenge',
+    'challenge.past': 'Past challenges',
+    'challenge.outcome.succeeded': 'Succeeded',
+    'challenge.outcome.failed': 'Failed',
+
+    // Adding habits
+    'addHabit.open': 'Add a New Habit',
+    'addHabit.placeholder': 'Enter new habit name (e.g., Read 30 min)',
+    'addHabit.submit': 'Add Habit',
+    'addHabit.limitReached': { one: 'Limit reached: You can track up to {count} habit.', other: 'Limit reached: You can track up to {count} habits.' },
+    'measure.toggle': 'Track an amount (e.g. glasses, minutes)',
+    'measure.defaultUnit': 'glasses',
+    'measure.target': 'Daily target',
+    'measure.unit': 'Unit',
+    'measure.unitPlaceholder': 'unit',
+    'measure.perDay': 'per day, in steps of',
+    'measure.step': 'Increment step',
+
+    // Archive & trash
+    'archived.title': 'Archived habits ({count})',
+    'trash.title': 'Trash ({count})',
+    'trash.deletedUndated': 'Deleted',
+    'trash.deleted': { one: 'Deleted {date} · purged in {count} day', other: 'Deleted {date} · purged in {count} days' },
+    'trash.confirm': 'Click again to confirm',
+    'trash.deleteForever': 'Delete forever',
+    'toast.movedToTrash': 'Moved "{name}" to the trash.',
+
+    // Settings
+    'settings.title': 'Settings',
+    'settings.close': 'Close Settings',
+    'settings.account': 'Account',
+    'settings.language': 'Language',
+    'settings.calendar': 'Calendar',
+    'settings.timeZone': 'Timezone',
+    'settings.dayStart': 'Day starts at',
+    'settings.dayStartHint': 'Check-ins before this hour count towards the previous day.',
+    'settings.weekStart': 'Week starts on',
+    'settings.trashRetention': 'Keep deleted habits for',
+    'settings.days': { one: '{count} day', other: '{count} days' },
+    'settings.breaks': 'Breaks',
+    'settings.freezes': 'Streak freezes per month',
+    'settings.off': 'Off',
+    'settings.breaksHint': 'Vacation days and skipped days never break a streak. Each month, freezes cover that many missed days per habit.',
+    'settings.data': 'Your data',
+    'vacation.start': 'Vacation start',
+    'vacation.end': 'Vacation end',
+    'vacation.to': 'to',
+    'vacation.remove': 'Remove Vacation',
+
+    // Sharing
+    'share.title': 'Sharing',
+    'share.hint': 'Publish chosen habits to a read-only page. Anyone with the link sees their streaks and recent days; notes stay private.',
+    'share.unavailable': 'Sharing is unavailable in offline-only mode.',
+    'share.linkTitle': 'Page title (optional)',
+    'share.untitled': 'Shared habits',
+    'share.create': 'Create link',
+    'share.copy': 'Copy link',
+    'share.copied': 'Copied!',
+    'share.revoke': 'Revoke',
+    'share.confirmRevoke': 'Click again to revoke',
+    'share.failed': 'The share link could not be updated. Please try again.',
+    'share.habitCount': { one: '{count} habit', other: '{count} habits' },
+    'sharePage.readOnly': 'Read-only progress page',
+    'sharePage.asOf': 'As of {date}',
+    'sharePage.notFound': 'This link has been revoked or never existed.',
+    'sharePage.unavailable': 'Shared pages are unavailable in offline-only mode.',
+    'sharePage.openApp': 'Track your own habits',
+
+    // Account
+    'account.unavailable': 'Accounts are unavailable in offline-only mode.',
+    'account.signedInAs': 'Signed in as',
+    'account.signOut': 'Sign out',
+    'account.guestHint': "You are using a guest session. Sign in to keep your habits if you clear this browser or switch devices. Signing into an existing account merges this session's habits into it.",
+    'account.email': 'Email',
+    'account.password': 'Password',
+    'account.google': 'Continue with Google',
+    'account.submit': 'Sign in / Sign up',
+    'account.notCarried': { one: "Your account has no room for {count} of this session's habits, so it was not carried over: {names}", other: "Your account has no room for {count} of this session's habits, so they were not carried over: {names}" },
+    'plan.free': 'Free',
+    'plan.pro': 'Pro',
+    'plan.summary': { one: '{plan} plan · up to {count} active habit', other: '{plan} plan · up to {count} active habits' },
+    'auth.invalidEmail': 'That email address is not valid.',
+    'auth.weakPassword': 'Passwords need at least 6 characters.',
+    'auth.wrongCredentials': 'Email or password is incorrect.',
+    'auth.cancelled': 'Sign-in was cancelled.',
+    'auth.offline': 'You appear to be offline.',
+    'auth.unknown': 'Something went wrong. Please try again.',
+
+    // Import & export
+    'export.json': 'Export JSON',
+    'export.csv': 'Export CSV',
+    'export.failed': 'Export failed. Please try again.',
+    'import.button': 'Import',
+    'import.hint': 'Import a Habit Forge Lite JSON backup or a Loop Habit Tracker Checkmarks.csv.',
+    'import.invalid': "This file can't be imported:",
+    'import.found': { one: 'Found {count} habit: {newCount} new, {matchCount} matching existing habits.', other: 'Found {count} habits: {newCount} new, {matchCount} matching existing habits.' },
+    'import.exists': '"{name}" already exists',
+    'import.daysDiffer': { one: ' · {count} day differs, your current value is kept when merging', other: ' · {count} days differ, your current values are kept when merging' },
+    'import.limit': 'You can track up to {count} habits; some options are unavailable.',
+    'import.merge': 'Merge',
+    'import.replace': 'Replace all',
+    'import.confirmReplace': 'Click again to replace',
+    'import.replaceWarning': 'Your current habits will move to the trash, where you can restore them until they are purged.',
+    'import.done': { one: 'Imported {count} habit.', other: 'Imported {count} habits.' },
+    'import.failed': 'Import failed. Some changes may not have been applied.',
+    'importError.notJson': 'The file is not valid JSON.',
+    'importError.notBackup': 'The file is not a Habit Forge Lite backup.',
+    'importError.newerVersion': 'Backup version {version} is newer than this app supports.',
+    'importError.notLoopExport': 'The file is not a Loop Habit Tracker Checkmarks.csv export.',
+    'importError.rowDate': 'Row {row} has an invalid date "{date}".',
+    'importError.notAnObject': 'Habit #{number} is not an object.',
+    'importError.noId': 'Habit #{number} has no id.',
+    'importError.noName': 'Habit #{number} has no name.',
+    'importError.completions': 'Habit #{number} has an invalid completions map.',
+    'importError.completionDates': 'Habit #{number} has invalid completion dates: {dates}.',
+    'importError.completionValues': 'Habit #{number} has invalid completion values on: {dates}.',
+    'importError.createdAt': 'Habit #{number} has a missing or invalid creation date.',
+    'importError.deletedAt': 'Habit #{number} has an invalid deletion date.',
+    'importError.order': 'Habit #{number} has an invalid position.',
+    'importError.archived': 'Habit #{number} has an invalid archived flag.',
+    'importError.duplicateId': 'Habit #{number} has the same id as habit #{first}.',
+    'importError.notes': 'Habit #{number} has invalid notes.',
+    'importError.schedule': 'Habit #{number} has an invalid schedule.',
+    'importError.measure': 'Habit #{number} has an invalid type, target or step.',
+    'importError.challenge': 'Habit #{number} has an invalid challenge.',
+};
+
+export default en;
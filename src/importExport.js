@@ -0,0 +1,289 @@
+import { addDays, isValidTimestamp } from './dateUtils';
+import { getProgress, hasValidMeasure, isCompletedOn, isMarkedSkipped, isValidCompletionValue, SKIPPED } from './completions';
+import { getNote, isValidNote } from './notes';
+import { createdDateOf, isValidSchedule } from './schedule';
+import { isValidChallenge } from './challenges';
+import { activeHabitsOf, isActive, isTrashed, nextOrder } from './habitList';
+
+// ----------------------------------------------------------------------
+// --- IMPORT / EXPORT ---
+// ----------------------------------------------------------------------
+
+export const BACKUP_FORMAT = 'habit-forge-lite';
+export const BACKUP_VERSION = 1;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// --- CSV helpers ---
+
+const escapeCsv = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsv).join(',')).join('\r\n');
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF.
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// --- Export ---
+
+// Full, lossless backup: every stored field of every habit is kept as-is.
+export const exportToJson = (habits) => JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    habits,
+}, null, 2);
+
+// One row per habit per day, from the habit's first day (or earliest
+// completion or note) up to `today`.
+export const exportToCsv = (habits, today) => {
+    const rows = [['habit_id', 'habit_name', 'date', 'value', 'completed', 'skipped', 'note', 'rating']];
+    habits.forEach(habit => {
+        const recorded = [...Object.keys(habit.completions || {}), ...Object.keys(habit.notes || {})].sort();
+        const created = createdDateOf(habit, today);
+        let day = recorded[0] && recorded[0] < created ? recorded[0] : created;
+        for (; day <= today; day = addDays(day, 1)) {
+            const note = getNote(habit, day);
+            rows.push([
+                habit.id, habit.name, day, getProgress(habit, day), isCompletedOn(habit, day) ? 1 : 0, isMarkedSkipped(habit, day) ? 1 : 0,
+                note ? note.text : '', note && note.rating ? note.rating : '',
+            ]);
+        }
+    });
+    return toCsv(rows);
+};
+
+// --- Import parsing ---
+// Parsers return `{ habits, errors }`. Each error is `{ key, params }`, a
+// message from the 'importError.*' catalog entries for the UI to translate.
+
+const importError = (key, params = {}) => ({ key: `importError.${key}`, params });
+
+const validateHabit = (habit, index) => {
+    const errors = [];
+    const params = { number: index + 1 };
+    if (!habit || typeof habit !== 'object') return [importError('notAnObject', params)];
+    if (typeof habit.id !== 'string' || !habit.id) errors.push(importError('noId', params));
+    if (typeof habit.name !== 'string' || !habit.name.trim()) errors.push(importError('noName', params));
+    if (habit.completions !== undefined && (typeof habit.completions !== 'object' || habit.completions === null)) {
+        errors.push(importError('completions', params));
+    } else {
+        const badDates = Object.keys(habit.completions || {}).filter(date => !DATE_PATTERN.test(date));
+        if (badDates.length > 0) errors.push(importError('completionDates', { ...params, dates: badDates.slice(0, 3).join(', ') }));
+        const badValues = Object.entries(habit.completions || {}).filter(([, value]) => !isValidCompletionValue(value));
+        if (badValues.length > 0) errors.push(importError('completionValues', { ...params, dates: badValues.slice(0, 3).map(([date]) => date).join(', ') }));
+    }
+    if (!isValidTimestamp(habit.createdAt)) errors.push(importError('createdAt', params));
+    if (habit.deletedAt != null && !isValidTimestamp(habit.deletedAt)) errors.push(importError('deletedAt', params));
+    if (habit.order !== undefined && !Number.isFinite(habit.order)) errors.push(importError('order', params));
+    if (habit.archived !== undefined && typeof habit.archived !== 'boolean') errors.push(importError('archived', params));
+    if (habit.notes !== undefined) {
+        const notes = habit.notes && typeof habit.notes === 'object' ? Object.entries(habit.notes) : null;
+        if (!notes || notes.some(([date, note]) => !DATE_PATTERN.test(date) || !isValidNote(note))) {
+            errors.push(importError('notes', params));
+        }
+    }
+    if (habit.schedule != null && !isValidSchedule(habit.schedule)) {
+        errors.push(importError('schedule', params));
+    }
+    if (!hasValidMeasure(habit)) {
+        errors.push(importError('measure', params));
+    }
+    if (habit.challenge != null && !isValidChallenge(habit.challenge)) {
+        errors.push(importError('challenge', params));
+    }
+    return errors;
+};
+
+export const parseJsonBackup = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { habits: [], errors: [importError('notJson')] };
+    }
+    if (!data || data.format !== BACKUP_FORMAT || !Array.isArray(data.habits)) {
+        return { habits: [], errors: [importError('notBackup')] };
+    }
+    if (data.version > BACKUP_VERSION) {
+        return { habits: [], errors: [importError('newerVersion', { version: data.version })] };
+    }
+    const errors = data.habits.flatMap(validateHabit);
+    data.habits.forEach((habit, index) => {
+        const firstIndex = data.habits.findIndex(other => other && habit && other.id === habit.id);
+        if (habit && typeof habit.id === 'string' && firstIndex !== index) {
+            errors.push(importError('duplicateId', { number: index + 1, first: firstIndex + 1 }));
+        }
+    });
+    return { habits: errors.length > 0 ? [] : data.habits, errors };
+};
+
+// Loop Habit Tracker's export contains a combined `Checkmarks.csv` with a
+// `Date` column followed by one column per habit. Only YES_MANUAL (2) counts
+// as a completion and SKIP (3) becomes a skipped day; YES_AUTO (1) is implied
+// by Loop's frequency rules and NO/UNKNOWN (0, -1) are left empty.
+const LOOP_YES_MANUAL = 2;
+const LOOP_SKIP = 3;
+
+export const parseLoopCsv = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    // Blank header cells (e.g. from a trailing comma) are not habits.
+    const columns = (header || [])
+        .map((name, column) => ({ name: name.trim(), column }))
+        .slice(1)
+        .filter(({ name }) => name);
+    if (!header || header[0].trim().toLowerCase() !== 'date' || columns.length === 0) {
+        return { habits: [], errors: [importError('notLoopExport')] };
+    }
+    const errors = [];
+    const habits = columns.map(({ name }) => ({
+        id: crypto.randomUUID(),
+        name,
+        type: 'boolean',
+        completions: {},
+    }));
+
+    rows.forEach((row, i) => {
+        const date = row[0].trim();
+        if (!DATE_PATTERN.test(date)) {
+            errors.push(importError('rowDate', { row: i + 2, date }));
+            return;
+        }
+        habits.forEach((habit, i) => {
+            const value = Number(row[columns[i].column]);
+            if (value === LOOP_YES_MANUAL) habit.completions[date] = true;
+            if (value === LOOP_SKIP) habit.completions[date] = SKIPPED;
+        });
+    });
+
+    // Loop does not export creation dates; use the first recorded day.
+    habits.forEach(habit => {
+        const first = Object.keys(habit.completions).sort()[0];
+        habit.createdAt = first ? `${first}T12:00:00.000Z` : new Date().toISOString();
+    });
+    return { habits: errors.length > 0 ? [] : habits, errors };
+};
+
+export const parseImportFile = (fileName, text) => {
+    if (/\.json$/i.test(fileName) || text.trim().startsWith('{')) return parseJsonBackup(text);
+    return parseLoopCsv(text);
+};
+
+// --- Import planning ---
+
+const findMatch = (existingHabits, imported) =>
+    existingHabits.find(h => h.id === imported.id) ||
+    existingHabits.find(h => h.name.trim().toLowerCase() === imported.name.trim().toLowerCase());
+
+// Compares imported habits against the current ones. A conflict is an
+// imported habit matching an existing one (by id, then by name); within it,
+// `conflictingDays` are days where both sides hold different values.
+export const planImport = (existingHabits, importedHabits) => {
+    const conflicts = [];
+    importedHabits.forEach(imported => {
+        const match = findMatch(existingHabits, imported);
+        if (!match) return;
+        const conflictingDays = Object.keys(imported.completions || {}).filter(date =>
+            match.completions && date in match.completions && match.completions[date] !== imported.completions[date]
+        );
+        conflicts.push({ existing: match, imported, conflictingDays });
+    });
+    const newHabits = importedHabits.filter(h => !conflicts.some(c => c.imported === h));
+    return { conflicts, newHabits, importedCount: importedHabits.length };
+};
+
+// Splits `importedHabits` into those a merge can take without going over
+// `habitLimit` active habits, and the active new habits `leftOut` for lack of
+// room. Habits matching an existing one and inactive (archived or trashed)
+// habits never take up a slot.
+export const fitToHabitLimit = (existingHabits, importedHabits, habitLimit) => {
+    const { newHabits } = planImport(existingHabits, importedHabits);
+    let freeSlots = Math.max(0, habitLimit - activeHabitsOf(existingHabits).length);
+    const leftOut = newHabits.filter(habit => {
+        if (!isActive(habit)) return false;
+        if (freeSlots > 0) {
+            freeSlots--;
+            return false;
+        }
+        return true;
+    });
+    return { habits: importedHabits.filter(habit => !leftOut.includes(habit)), leftOut };
+};
+
+// Keeps imported ids unless they would clash with an existing habit, and
+// places the habits after every existing one.
+const asNewHabits = (existingHabits, habits) => {
+    const firstOrder = nextOrder(existingHabits);
+    return habits.map((habit, i) => ({
+        ...habit,
+        id: existingHabits.some(h => h.id === habit.id) ? crypto.randomUUID() : habit.id,
+        order: firstOrder + i,
+    }));
+};
+
+// Resulting writes for a plan. 'merge' keeps every existing habit, adds new
+// ones after them and fills in days and notes missing locally (existing values
+// win on conflicting days). 'replace' adds every imported habit and moves the
+// existing ones to the trash, where they can still be restored; `trashings`
+// lists active habits first, as those are the ones that free up a slot.
+export const resolveImport = (existingHabits, importedHabits, mode) => {
+    if (mode === 'replace') {
+        const kept = existingHabits.filter(habit => !isTrashed(habit));
+        return {
+            trashings: [...activeHabitsOf(kept), ...kept.filter(habit => !isActive(habit))].map(habit => habit.id),
+            creations: asNewHabits(existingHabits, importedHabits),
+            updates: [],
+        };
+    }
+
+    const { conflicts, newHabits } = planImport(existingHabits, importedHabits);
+    return {
+        trashings: [],
+        creations: asNewHabits(existingHabits, newHabits),
+        updates: conflicts.map(({ existing, imported }) => ({
+            habitId: existing.id,
+            changes: {
+                completions: { ...imported.completions, ...existing.completions },
+                notes: { ...imported.notes, ...existing.notes },
+            },
+        })),
+    };
+};
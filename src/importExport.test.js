@@ -0,0 +1,164 @@
+import { describe, expect, it } from 'vitest';
+import { SKIPPED } from './completions';
+import {
+    BACKUP_FORMAT, BACKUP_VERSION, exportToJson, fitToHabitLimit, parseCsv, parseJsonBackup, parseLoopCsv, planImport, resolveImport,
+} from './importExport';
+
+const habit = (id, overrides = {}) => ({
+    id,
+    name: `Habit ${id}`,
+    order: 0,
+    createdAt: '2026-10-01T08:00:00.000Z',
+    archived: false,
+    deletedAt: null,
+    completions: {},
+    notes: {},
+    ...overrides,
+});
+
+const backup = (habits, overrides = {}) => JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, habits, ...overrides });
+
+const errorKeys = ({ errors }) => errors.map(error => error.key);
+
+describe('parseCsv', () => {
+    it('reads quoted fields, escaped quotes and both line endings', () => {
+        expect(parseCsv('a,"b, c"\r\n"say ""hi""",\nx,"two\nlines"')).toEqual([
+            ['a', 'b, c'],
+            ['say "hi"', ''],
+            ['x', 'two\nlines'],
+        ]);
+    });
+
+    it('drops blank lines and keeps a last row without a line break', () => {
+        expect(parseCsv('a,b\n\n , \nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+});
+
+describe('parseJsonBackup', () => {
+    it('reads back an exported backup', () => {
+        const habits = [habit('h1', { completions: { '2026-10-02': true, '2026-10-03': SKIPPED } })];
+        expect(parseJsonBackup(exportToJson(habits))).toEqual({ habits, errors: [] });
+    });
+
+    it('rejects files that are not a backup of a known version', () => {
+        expect(errorKeys(parseJsonBackup('{ nope'))).toEqual(['importError.notJson']);
+        expect(errorKeys(parseJsonBackup(JSON.stringify({ habits: [] })))).toEqual(['importError.notBackup']);
+        expect(parseJsonBackup(backup([], { version: BACKUP_VERSION + 1 })).errors)
+            .toEqual([{ key: 'importError.newerVersion', params: { version: BACKUP_VERSION + 1 } }]);
+    });
+
+    it('reports every invalid field and imports nothing', () => {
+        const result = parseJsonBackup(backup([
+            habit('h1'),
+            habit('h2', {
+                name: ' ',
+                createdAt: '2026-10-01',
+                deletedAt: 'yesterday',
+                order: '1',
+                archived: 'no',
+                completions: { '1.10.2026': true, '2026-10-02': 0 },
+                schedule: { type: 'monthly' },
+            }),
+        ]));
+        expect(result.habits).toEqual([]);
+        expect(errorKeys(result)).toEqual([
+            'importError.noName', 'importError.completionDates', 'importError.completionValues', 'importError.createdAt',
+            'importError.deletedAt', 'importError.order', 'importError.archived', 'importError.schedule',
+        ]);
+        expect(result.errors[1].params).toEqual({ number: 2, dates: '1.10.2026' });
+    });
+
+    it('rejects duplicate ids', () => {
+        expect(parseJsonBackup(backup([habit('h1'), habit('h2'), habit('h1')])).errors)
+            .toEqual([{ key: 'importError.duplicateId', params: { number: 3, first: 1 } }]);
+    });
+});
+
+describe('parseLoopCsv', () => {
+    it('imports manual check-ins and skips, one habit per column', () => {
+        const { habits, errors } = parseLoopCsv('Date,Run,Read,\n2026-10-02,2,1\n2026-10-01,3,2\n');
+        expect(errors).toEqual([]);
+        expect(habits.map(({ name, completions, createdAt }) => ({ name, completions, createdAt }))).toEqual([
+            { name: 'Run', completions: { '2026-10-02': true, '2026-10-01': SKIPPED }, createdAt: '2026-10-01T12:00:00.000Z' },
+            { name: 'Read', completions: { '2026-10-01': true }, createdAt: '2026-10-01T12:00:00.000Z' },
+        ]);
+    });
+
+    it('rejects other CSV files and rows without a date', () => {
+        expect(errorKeys(parseLoopCsv('name,value\nRun,2'))).toEqual(['importError.notLoopExport']);
+        expect(parseLoopCsv('Date,Run\n2026-10-01,2\nlater,2').errors)
+            .toEqual([{ key: 'importError.rowDate', params: { row: 3, date: 'later' } }]);
+    });
+});
+
+describe('planImport', () => {
+    it('matches by id, then by name, and lists days that differ', () => {
+        const existing = [
+            habit('h1', { completions: { '2026-10-02': true, '2026-10-03': true } }),
+            habit('h2', { name: 'Read' }),
+        ];
+        const byId = habit('h1', { completions: { '2026-10-02': true, '2026-10-03': SKIPPED, '2026-10-04': true } });
+        const byName = habit('x9', { name: ' read ' });
+        const fresh = habit('h3');
+        const plan = planImport(existing, [byId, byName, fresh]);
+        expect(plan.conflicts).toEqual([
+            { existing: existing[0], imported: byId, conflictingDays: ['2026-10-03'] },
+            { existing: existing[1], imported: byName, conflictingDays: [] },
+        ]);
+        expect(plan.newHabits).toEqual([fresh]);
+        expect(plan.importedCount).toBe(3);
+    });
+});
+
+describe('fitToHabitLimit', () => {
+    it('leaves out active new habits beyond the free slots', () => {
+        const existing = [habit('h1'), habit('h2', { archived: true })];
+        const matching = habit('h1');
+        const archived = habit('h3', { archived: true });
+        const first = habit('h4');
+        const second = habit('h5');
+        const { habits, leftOut } = fitToHabitLimit(existing, [matching, archived, first, second], 2);
+        expect(habits).toEqual([matching, archived, first]);
+        expect(leftOut).toEqual([second]);
+    });
+
+    it('takes everything without a limit', () => {
+        const imported = [habit('h1'), habit('h2')];
+        expect(fitToHabitLimit([], imported, Infinity)).toEqual({ habits: imported, leftOut: [] });
+    });
+});
+
+describe('resolveImport', () => {
+    it('merges missing days into matching habits and adds the rest after them', () => {
+        const existing = [habit('h1', { order: 4, completions: { '2026-10-02': true }, notes: { '2026-10-02': { text: 'mine' } } })];
+        const imported = [
+            habit('h1', { completions: { '2026-10-02': SKIPPED, '2026-10-03': true }, notes: { '2026-10-02': { text: 'theirs' } } }),
+            habit('h2'),
+        ];
+        expect(resolveImport(existing, imported, 'merge')).toEqual({
+            trashings: [],
+            creations: [{ ...imported[1], order: 5 }],
+            updates: [{
+                habitId: 'h1',
+                changes: {
+                    completions: { '2026-10-02': true, '2026-10-03': true },
+                    notes: { '2026-10-02': { text: 'mine' } },
+                },
+            }],
+        });
+    });
+
+    it('replaces by trashing existing habits, active ones first, and re-ids clashes', () => {
+        const existing = [
+            habit('h1', { archived: true }),
+            habit('h2', { order: 1 }),
+            habit('h3', { order: 2, deletedAt: '2026-10-10T08:00:00.000Z' }),
+        ];
+        const { trashings, creations, updates } = resolveImport(existing, [habit('h2'), habit('h9')], 'replace');
+        expect(trashings).toEqual(['h2', 'h1']);
+        expect(updates).toEqual([]);
+        expect(creations.map(created => created.order)).toEqual([3, 4]);
+        expect(creations[0].id).not.toBe('h2');
+        expect(creations[1].id).toBe('h9');
+    });
+});
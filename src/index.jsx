@@ -1,9 +1,29 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { createRoot } from 'react-dom/client';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, onSnapshot, collection, query, setDoc, deleteDoc, updateDoc, where } from 'firebase/firestore';
-import { CalendarDays, CircleCheck, Plus, Trash2, Loader2, ArrowLeft, ArrowRight } from 'lucide-react';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { CalendarDays, CircleCheck, Plus, Trash2, Loader2, ArrowLeft, ArrowRight, History, Flame, ChevronDown, ChevronUp, Minus, Settings, X, Pencil, Archive, ArchiveRestore, GripVertical, Undo2, Cloud, CloudOff, RefreshCw, AlertTriangle, Bell, BellOff, StickyNote, SkipForward, Snowflake, Palmtree, Trophy } from 'lucide-react';
+import { createHabitRepository, withMutationQueue, createShareStore } from './storage';
+import { DEFAULT_PLAN } from './plans';
+import { buildShareSnapshot, isSameSnapshot, parseShareRoute } from './sharing';
+import { MonthCalendar, YearHeatmap } from './components/CalendarViews';
+import DataTransferPanel from './components/DataTransferPanel';
+import JournalView from './components/JournalView';
+import AccountPanel from './components/AccountPanel';
+import SharePanel from './components/SharePanel';
+import SharePage from './components/SharePage';
+import { createI18n, detectLocale, LOCALES } from './i18n';
+import { I18nProvider, useI18n } from './i18n/context';
+import { resolveImport } from './importExport';
+import { activeHabitsOf, archivedHabitsOf, isActive, trashedHabitsOf, expiredTrashOf, daysUntilPurge, nextOrder, moveItem, orderUpdates, DEFAULT_TRASH_RETENTION_DAYS } from './habitList';
+import { computeHabitStats, RATE_WINDOWS } from './stats';
+import { evaluateChallenge, finishedChallengesOf, archiveChallengeChanges, isValidChallenge, windowLength } from './challenges';
+import { dueReminders, reminderKey, isValidReminderTime } from './reminders';
+import { RATINGS, NOTE_TEXT_LIMIT, getNote, normalizeNote } from './notes';
+import { getToday, addDays, diffDays, isValidTimestamp, toLocalDate, toLocalTime, startOfWeek, weekdayOrder, configureCalendar, detectTimeZone, DEFAULT_CALENDAR_SETTINGS } from './dateUtils';
+import { isQuantityHabit, isCompletedOn, isMarkedSkipped, getProgress, formatCompletionValue, SKIPPED } from './completions';
+import { DAILY_SCHEDULE, describeSchedule, getDayStatus, getSchedule, completionsInWeek, createDayClassifier, isOnVacation } from './schedule';
 
 // ----------------------------------------------------------------------
 // --- 1. CONFIGURATION ADAPTATION (UPDATED FOR VERCEL/CANVAS) ---
@@ -17,22 +37,53 @@ const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial
 
 // 2. Determine the FINAL config to use based on the environment
 const appId = 
-  canvasAppId !== 'default-app-id' ? canvasAppId : (process.env.VITE_APP_ID || 'default-vercel-app-id');
+  canvasAppId !== 'default-app-id' ? canvasAppId : (import.meta.env.VITE_APP_ID || 'default-vercel-app-id');
 
 const firebaseConfig = Object.keys(canvasFirebaseConfig).length > 0
   ? canvasFirebaseConfig // Use canvas config if present (running in development environment)
   : { // Otherwise, build the config from Vercel's Environment Variables (running in production)
-      // Vercel/production variables are read from process.env.VITE_...
-      apiKey: process.env.VITE_FIREBASE_API_KEY,
-      authDomain: process.env.VITE_FIREBASE_AUTH_DOMAIN,
-      projectId: process.env.VITE_FIREBASE_PROJECT_ID,
-      storageBucket: process.env.VITE_FIREBASE_STORAGE_BUCKET,
-      messagingSenderId: process.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-      appId: process.env.VITE_FIREBASE_APP_ID,
+      // Vite exposes VITE_-prefixed variables (e.g. from Vercel) on import.meta.env
+      apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+      authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+      projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+      storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+      messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+      appId: import.meta.env.VITE_FIREBASE_APP_ID,
     };
 
+// 3. Choose where habits are stored:
+//    'firestore' - read/write Firestore directly (original behaviour)
+//    'local'     - IndexedDB/localStorage only; no Firebase project needed
+//    'synced'    - offline-first: write locally, queue and sync to Firestore
+const isFirebaseConfigured = Boolean(firebaseConfig.apiKey && firebaseConfig.projectId);
+const storageBackend = import.meta.env.VITE_STORAGE_BACKEND || (isFirebaseConfigured ? 'synced' : 'local');
+const usesFirebase = storageBackend !== 'local';
+
+// 4. Optional Firebase emulators for local development and tests, e.g.
+//    VITE_FIREBASE_AUTH_EMULATOR_URL=http://127.0.0.1:9099
+//    VITE_FIRESTORE_EMULATOR_HOST=127.0.0.1:8080
+const authEmulatorUrl = import.meta.env.VITE_FIREBASE_AUTH_EMULATOR_URL;
+const firestoreEmulatorHost = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST;
+
+// 5. How many days back completions may be edited. 'unlimited' (or any
+//    non-numeric value) removes the limit; 0 restricts edits to today.
+const backfillSetting = import.meta.env.VITE_BACKFILL_WINDOW_DAYS ?? '7';
+const BACKFILL_WINDOW_DAYS = /^\d+$/.test(backfillSetting) ? Number(backfillSetting) : Infinity;
+
+// 6. How many days of history to load from Firestore. Covers the 12-month
+//    heatmap; stats of older habits only cover this window, which their
+//    stats panel points out.
+const HISTORY_WINDOW_DAYS = Number(import.meta.env.VITE_HISTORY_WINDOW_DAYS) || 400;
+
 // Constants
-const HABIT_LIMIT = 3;
+const HISTORY_PREVIEW_LIMIT = 10;
+const LOCAL_USER_ID_KEY = 'habit-forge:local-user-id';
+const UNDO_TOAST_MS = 6000;
+const REMINDER_CHECK_MS = 30000;
+const REMINDERS_SENT_KEY = 'habit-forge:reminders-sent';
+const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+const STREAK_FREEZE_OPTIONS = [0, 1, 2, 3];
+const WEEK_START_OPTIONS = [1, 0, 6]; // Monday, Sunday, Saturday
 
 // ----------------------------------------------------------------------
 // --- 2. UTILITY FUNCTIONS ---
@@ -40,33 +91,70 @@ const HABIT_LIMIT = 3;
 
 const formatUserId = (userId) => `${userId.substring(0, 4)}...${userId.substring(userId.length - 4)}`;
 
-const getToday = (offset = 0) => {
-    const d = new Date();
-    d.setDate(d.getDate() + offset);
-    // Format YYYY-MM-DD
-    return d.toISOString().split('T')[0];
+// Plans an admin adds without a catalog entry are shown by their ID.
+const planName = (t, plan) => {
+    const key = `plan.${plan}`;
+    const name = t(key);
+    return name === key ? plan : name;
 };
 
-const getDayOfWeek = (dateString) => {
-    const d = new Date(dateString);
-    return d.toLocaleDateString('en-US', { weekday: 'short' });
+const isWithinBackfillWindow = (dateString) => {
+    const age = diffDays(dateString, getToday());
+    return age >= 0 && age <= BACKFILL_WINDOW_DAYS;
 };
 
 // ----------------------------------------------------------------------
 // --- 3. FIREBASE INITIALIZATION & HOOKS ---
 // ----------------------------------------------------------------------
 
-// Initialize Firebase App
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
-const auth = getAuth(app);
+// Initialize Firebase App (skipped entirely in local-only mode)
+const app = usesFirebase ? initializeApp(firebaseConfig) : null;
+const db = app ? getFirestore(app) : null;
+const auth = app ? getAuth(app) : null;
+
+if (auth && authEmulatorUrl) {
+    connectAuthEmulator(auth, authEmulatorUrl, { disableWarnings: true });
+}
+if (db && firestoreEmulatorHost) {
+    const [host, port] = firestoreEmulatorHost.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+}
+
+// All writes go through the mutation queue: optimistic, persisted and retried.
+const habitRepository = withMutationQueue(createHabitRepository({
+    backend: storageBackend,
+    appId,
+    db,
+    historySince: () => getToday(-HISTORY_WINDOW_DAYS),
+}), { appId });
+
+// Read-only share pages need Firestore; local-only mode has none.
+const shareStore = db ? createShareStore({ db, appId }) : null;
+
+// Local-only mode has no Firebase Auth, so a stable per-browser ID stands in for the UID.
+const getLocalUserId = () => {
+    let localUserId = localStorage.getItem(LOCAL_USER_ID_KEY);
+    if (!localUserId) {
+        localUserId = `local-${crypto.randomUUID()}`;
+        localStorage.setItem(LOCAL_USER_ID_KEY, localUserId);
+    }
+    return localUserId;
+};
 
 function useFirebaseSetup() {
     const [userId, setUserId] = useState(null);
-    const [dbInstance, setDbInstance] = useState(null);
+    const [authUser, setAuthUser] = useState(null);
+    const [repository, setRepository] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
 
     useEffect(() => {
+        if (!auth) {
+            setUserId(getLocalUserId());
+            setRepository(habitRepository);
+            setIsAuthReady(true);
+            return;
+        }
+
         // 1. Setup Authentication
         const setupAuth = async () => {
             try {
@@ -84,13 +172,14 @@ function useFirebaseSetup() {
 
         // 2. Auth State Listener
         const unsubscribe = onAuthStateChanged(auth, (user) => {
+            setAuthUser(user);
             if (user) {
                 setUserId(user.uid);
-                setDbInstance(db);
+                setRepository(habitRepository);
             } else {
                 // Should not happen if signInAnonymously is successful, but handles logouts
                 setUserId(null);
-                setDbInstance(db); // Still set db even if anon, for potential future use
+                setRepository(habitRepository); // Still set the repository even if anon, for potential future use
             }
             setIsAuthReady(true);
         });
@@ -98,29 +187,22 @@ function useFirebaseSetup() {
         return () => unsubscribe();
     }, []);
 
-    return { db: dbInstance, userId, isAuthReady, formattedUserId: userId ? formatUserId(userId) : 'Loading...' };
+    return { repository, userId, authUser, isAuthReady, formattedUserId: userId ? formatUserId(userId) : null };
 }
 
-function useHabits(db, userId, isAuthReady) {
+function useHabits(repository, userId, isAuthReady) {
     const [habits, setHabits] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
 
     useEffect(() => {
-        if (!db || !isAuthReady || !userId) {
+        if (!repository || !isAuthReady || !userId) {
             if (isAuthReady) setIsLoading(false);
             return;
         }
 
         setIsLoading(true);
-        const habitsCollectionPath = `/artifacts/${appId}/users/${userId}/habits`;
-        const q = query(collection(db, habitsCollectionPath));
-
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const habitsData = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setHabits(habitsData.sort((a, b) => a.order - b.order));
+        const unsubscribe = repository.subscribe(userId, (habitsData) => {
+            setHabits(habitsData);
             setIsLoading(false);
         }, (error) => {
             console.error("Error fetching habits:", error);
@@ -128,72 +210,397 @@ function useHabits(db, userId, isAuthReady) {
         });
 
         return () => unsubscribe();
-    }, [db, userId, isAuthReady]);
+    }, [repository, userId, isAuthReady]);
 
     return { habits, isLoading };
 }
 
+// Loads the user's preferences (timezone, day start hour, first day of the
+// week) and applies them to the calendar module so that every `getToday()`
+// and `startOfWeek()` call uses them.
+const DEFAULT_SETTINGS = {
+    ...DEFAULT_CALENDAR_SETTINGS,
+    language: detectLocale(),
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+    vacations: [],
+    streakFreezesPerMonth: 0,
+};
+
+function useSettings(repository, userId) {
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [isSettingsLoaded, setIsSettingsLoaded] = useState(false);
+
+    useEffect(() => {
+        if (!repository || !userId) return;
+
+        const unsubscribe = repository.subscribeSettings(userId, (stored) => {
+            if (!stored || !stored.timeZone) {
+                // First run on this account: remember the device's timezone.
+                // Repositories only report missing settings once that is
+                // certain, so this never overwrites another device's choice.
+                repository.saveSettings(userId, { timeZone: detectTimeZone(), dayStartHour: 0, ...stored });
+            }
+            const merged = { ...DEFAULT_SETTINGS, ...stored };
+            setSettings({ ...merged, ...configureCalendar(merged) });
+            setIsSettingsLoaded(true);
+        }, (error) => {
+            console.error("Error fetching settings:", error);
+        });
+
+        return () => unsubscribe();
+    }, [repository, userId]);
+
+    const saveSettings = useCallback((changes) => {
+        if (!repository || !userId) return console.error("Database not ready.");
+        repository.saveSettings(userId, changes).catch(e => console.error("Error saving settings: ", e));
+    }, [repository, userId]);
+
+    return { settings, isSettingsLoaded, saveSettings };
+}
+
+// The user's plan and how many active habits it allows. The limit is also
+// enforced by firestore.rules; checking it here just keeps the UI honest.
+function usePlan(repository, userId) {
+    const [plan, setPlan] = useState(DEFAULT_PLAN);
+
+    useEffect(() => {
+        if (!repository || !userId) return;
+        return repository.subscribePlan(userId, setPlan, (error) => {
+            console.error("Error fetching plan:", error);
+        });
+    }, [repository, userId]);
+
+    return plan;
+}
+
+const canNotify = () => typeof Notification !== 'undefined' && Notification.permission === 'granted';
+
+// Shown through the service worker when there is one: mobile browsers only
+// allow notifications from a registration, not `new Notification()`.
+const notifyReminder = async (habit, t) => {
+    const title = t('reminder.title', { name: habit.name });
+    const options = { body: t('reminder.body'), tag: `reminder-${habit.id}`, icon: '/icon.svg' };
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+        await registration.showNotification(title, options);
+    } else {
+        new Notification(title, options);
+    }
+};
+
+// Checks reminder times while the app is open and notifies for habits that
+// are due and not completed yet. Sent reminders are remembered per day so a
+// reload does not repeat them.
+function useReminders(habits, pauses, t) {
+    const habitsRef = useRef(habits);
+    const pausesRef = useRef(pauses);
+    const tRef = useRef(t);
+    habitsRef.current = habits;
+    pausesRef.current = pauses;
+    tRef.current = t;
+
+    useEffect(() => {
+        const check = () => {
+            if (!canNotify()) return;
+            const today = getToday();
+            const sent = new Set((JSON.parse(localStorage.getItem(REMINDERS_SENT_KEY)) || [])
+                .filter(key => key.endsWith(`:${today}`)));
+
+            dueReminders(habitsRef.current, today, toLocalTime(Date.now()), sent, pausesRef.current).forEach(habit => {
+                sent.add(reminderKey(habit, today));
+                notifyReminder(habit, tRef.current).catch(e => console.error("Error showing reminder: ", e));
+            });
+            localStorage.setItem(REMINDERS_SENT_KEY, JSON.stringify([...sent]));
+        };
+
+        check();
+        const timer = setInterval(check, REMINDER_CHECK_MS);
+        return () => clearInterval(timer);
+    }, []);
+}
+
+// Pending writes, failures and connectivity, for the header and banners.
+function useSyncStatus(repository) {
+    const [queueState, setQueueState] = useState({ pending: 0, errors: [], isOnline: true });
+    const [syncPending, setSyncPending] = useState(0);
+
+    useEffect(() => {
+        if (!repository) return;
+        const unsubscribeQueue = repository.subscribeState(setQueueState);
+        // Only the offline-first backend has a second queue towards Firestore.
+        const unsubscribeSync = repository.subscribeSyncState
+            ? repository.subscribeSyncState(({ pending }) => setSyncPending(pending))
+            : () => {};
+        return () => {
+            unsubscribeQueue();
+            unsubscribeSync();
+        };
+    }, [repository]);
+
+    return { ...queueState, syncPending };
+}
+
+// The user's share links. While the app is open, each share's snapshot is
+// republished whenever the shared habits' streaks or recent days change.
+function useShares(store, userId, habits, pauses, isLoading) {
+    const [shares, setShares] = useState([]);
+
+    useEffect(() => {
+        if (!store || !userId) return;
+        return store.subscribeOwned(userId, setShares, (error) => {
+            console.error("Error fetching share links:", error);
+        });
+    }, [store, userId]);
+
+    useEffect(() => {
+        if (!store || isLoading) return;
+        const today = getToday();
+        shares.forEach(share => {
+            const snapshot = buildShareSnapshot(habits, share.habitIds, today, pauses);
+            if (isSameSnapshot(share, snapshot)) return;
+            store.refresh(share.id, { ...snapshot, updatedAt: new Date().toISOString() })
+                .catch(e => console.error("Error refreshing share link: ", e));
+        });
+    }, [store, shares, habits, pauses, isLoading]);
+
+    return shares;
+}
+
 // ----------------------------------------------------------------------
 // --- 4. DATA MANAGEMENT ACTIONS ---
 // ----------------------------------------------------------------------
 
-const createHabit = async (db, userId, name, order) => {
-    if (!db || !userId) return console.error("Database not ready.");
+// `measure` is null for yes/no habits, or { unit, target, step } for quantity habits.
+const createHabit = async (repository, userId, name, order, { schedule = DAILY_SCHEDULE, measure = null, challenge = null } = {}) => {
+    if (!repository || !userId) return console.error("Database not ready.");
 
-    const habitsCollectionPath = `/artifacts/${appId}/users/${userId}/habits`;
     try {
-        await setDoc(doc(db, habitsCollectionPath, crypto.randomUUID()), {
+        await repository.create(userId, crypto.randomUUID(), {
             name,
             createdAt: new Date().toISOString(),
             order,
-            completions: {}, // { "YYYY-MM-DD": true }
+            schedule, // see schedule.js for the supported shapes
+            ...(measure ? { type: 'quantity', ...measure } : { type: 'boolean' }),
+            ...(challenge ? { challenge: { id: crypto.randomUUID(), ...challenge } } : {}), // see challenges.js
+            completions: {}, // { "YYYY-MM-DD": true } or { "YYYY-MM-DD": 3 } for quantity habits
         });
     } catch (e) {
         console.error("Error creating habit: ", e);
     }
 };
 
-const deleteHabit = async (db, userId, habitId) => {
-    if (!db || !userId) return console.error("Database not ready.");
-    
-    const habitsCollectionPath = `/artifacts/${appId}/users/${userId}/habits`;
+// Deleting only moves a habit to the trash; its history is kept until it is
+// purged, either explicitly or once the retention period has passed.
+const trashHabit = async (repository, userId, habitId) => {
+    if (!repository || !userId) return console.error("Database not ready.");
+
     try {
-        await deleteDoc(doc(db, habitsCollectionPath, habitId));
+        await repository.update(userId, habitId, { deletedAt: new Date().toISOString() });
     } catch (e) {
         console.error("Error deleting habit: ", e);
     }
 };
 
-const toggleCompletion = async (db, userId, habit) => {
-    if (!db || !userId) return console.error("Database not ready.");
+const restoreHabit = async (repository, userId, habitId) => {
+    if (!repository || !userId) return console.error("Database not ready.");
 
-    const today = getToday();
-    const isCompleted = habit.completions && habit.completions[today];
-    
-    const newCompletions = { ...habit.completions };
-    if (isCompleted) {
-        delete newCompletions[today];
-    } else {
-        newCompletions[today] = true;
+    try {
+        await repository.update(userId, habitId, { deletedAt: null });
+    } catch (e) {
+        console.error("Error restoring habit: ", e);
+    }
+};
+
+const purgeHabit = async (repository, userId, habitId) => {
+    if (!repository || !userId) return console.error("Database not ready.");
+
+    try {
+        await repository.remove(userId, habitId);
+    } catch (e) {
+        console.error("Error permanently deleting habit: ", e);
+    }
+};
+
+const renameHabit = async (repository, userId, habitId, name) => {
+    if (!repository || !userId) return console.error("Database not ready.");
+
+    try {
+        await repository.update(userId, habitId, { name });
+    } catch (e) {
+        console.error("Error renaming habit: ", e);
     }
+};
+
+const setHabitArchived = async (repository, userId, habitId, archived) => {
+    if (!repository || !userId) return console.error("Database not ready.");
 
-    const habitsCollectionPath = `/artifacts/${appId}/users/${userId}/habits`;
     try {
-        await updateDoc(doc(db, habitsCollectionPath, habit.id), {
-            completions: newCompletions
+        await repository.update(userId, habitId, {
+            archived,
+            archivedAt: archived ? new Date().toISOString() : null,
         });
     } catch (e) {
-        console.error("Error toggling completion: ", e);
+        console.error("Error archiving habit: ", e);
+    }
+};
+
+// Saves the note and rating for one habit-day; an empty note clears it.
+// Completions are left untouched.
+const saveNote = async (repository, userId, habitId, date, draft) => {
+    if (!repository || !userId) return console.error("Database not ready.");
+
+    try {
+        await repository.setNote(userId, habitId, date, normalizeNote(draft));
+    } catch (e) {
+        console.error("Error saving note: ", e);
+    }
+};
+
+// `reminderTime` is `HH:MM` in the user's timezone, or null to turn it off.
+const setReminder = async (repository, userId, habitId, reminderTime) => {
+    if (!repository || !userId) return console.error("Database not ready.");
+
+    try {
+        await repository.update(userId, habitId, { reminderTime });
+    } catch (e) {
+        console.error("Error saving reminder: ", e);
+    }
+};
+
+// `challenge` is { kind, target, start, end } (see challenges.js), or null to
+// drop the running challenge without keeping a result.
+const setChallenge = async (repository, userId, habitId, challenge) => {
+    if (!repository || !userId) return console.error("Database not ready.");
+
+    try {
+        await repository.update(userId, habitId, { challenge: challenge ? { id: crypto.randomUUID(), ...challenge } : null });
+    } catch (e) {
+        console.error("Error saving challenge: ", e);
+    }
+};
+
+// Moves a challenge that has succeeded or failed to the habit's results.
+const archiveChallenge = async (repository, userId, habit, evaluation, today) => {
+    if (!repository || !userId) return console.error("Database not ready.");
+
+    try {
+        await repository.update(userId, habit.id, archiveChallengeChanges(habit, evaluation, today));
+    } catch (e) {
+        console.error("Error archiving challenge: ", e);
+    }
+};
+
+// Persists `orderedHabits` as orders 0..n-1, writing only habits that moved.
+const reorderHabits = async (repository, userId, orderedHabits) => {
+    if (!repository || !userId) return console.error("Database not ready.");
+
+    try {
+        await Promise.all(orderUpdates(orderedHabits).map(({ habitId, order }) =>
+            repository.update(userId, habitId, { order })
+        ));
+    } catch (e) {
+        console.error("Error reordering habits: ", e);
+    }
+};
+
+// Applies an import as individual repository writes. Unlike the other actions
+// this rethrows, so the import panel can tell the user it failed. Imported
+// habits are written before replaced ones move to the trash, and those only
+// move early when an imported habit needs their slot under `habitLimit`, so a
+// failure part way leaves every old habit either in place or in the trash.
+const importHabits = async (repository, userId, existingHabits, importedHabits, mode, habitLimit = Infinity) => {
+    if (!repository || !userId) throw new Error("Database not ready.");
+
+    const { trashings, creations, updates } = resolveImport(existingHabits, importedHabits, mode);
+    const deletedAt = new Date().toISOString();
+    let activeCount = activeHabitsOf(existingHabits).length;
+    const trashNext = async () => {
+        const habitId = trashings.shift();
+        if (isActive(existingHabits.find(habit => habit.id === habitId))) activeCount--;
+        await repository.update(userId, habitId, { deletedAt });
+    };
+    for (const { id, ...data } of creations) {
+        if (isActive(data)) {
+            while (activeCount >= habitLimit && trashings.length > 0) await trashNext();
+            activeCount++;
+        }
+        await repository.create(userId, id, { completions: {}, ...data });
+    }
+    while (trashings.length > 0) await trashNext();
+    for (const { habitId, changes } of updates) {
+        await repository.update(userId, habitId, changes);
+    }
+};
+
+// Writes a single day's completion value; falsy values (false, 0) clear the day.
+const writeCompletion = async (repository, userId, habit, date, value) => {
+    if (!repository || !userId) return console.error("Database not ready.");
+    if (!isWithinBackfillWindow(date)) return console.error(`Date ${date} is outside the backfill window.`);
+
+    const previous = habit.completions ? habit.completions[date] : undefined;
+
+    // Every change is appended to an audit trail so retroactive edits stay visible.
+    const historyEntry = {
+        date,
+        from: previous ?? false,
+        to: value || false,
+        changedBy: userId,
+        changedAt: new Date().toISOString(),
+    };
+
+    // Only this one day is written, so concurrent edits to other days survive.
+    try {
+        await repository.setCompletion(userId, habit.id, date, value || null, historyEntry);
+    } catch (e) {
+        console.error("Error updating completion: ", e);
     }
 };
 
+const setSkipped = (repository, userId, habit, date, skipped) =>
+    writeCompletion(repository, userId, habit, date, skipped ? SKIPPED : null);
+
+// Skips every habit that is still due on `date`, e.g. for a sick day.
+const skipDay = (repository, userId, habits, date, pauses) =>
+    Promise.all(habits
+        .filter(habit => getDayStatus(habit, date, pauses) === 'due')
+        .map(habit => setSkipped(repository, userId, habit, date, true)));
+
+// Publishes `habitIds` behind a new unguessable link. Like `importHabits`,
+// the sharing actions rethrow so the share panel can report failures.
+const createShareLink = async (store, userId, habits, habitIds, title, pauses) => {
+    if (!store || !userId) throw new Error("Sharing is not available.");
+
+    const now = new Date().toISOString();
+    await store.publish(crypto.randomUUID(), {
+        ownerId: userId,
+        title,
+        habitIds,
+        ...buildShareSnapshot(habits, habitIds, getToday(), pauses),
+        createdAt: now,
+        updatedAt: now,
+    });
+};
+
+const revokeShareLink = async (store, shareId) => {
+    if (!store) throw new Error("Sharing is not available.");
+
+    await store.revoke(shareId);
+};
+
+const toggleCompletion = (repository, userId, habit, date = getToday()) =>
+    writeCompletion(repository, userId, habit, date, !isCompletedOn(habit, date));
+
+const setProgress = (repository, userId, habit, date, amount) =>
+    writeCompletion(repository, userId, habit, date, Math.max(0, amount));
+
 // ----------------------------------------------------------------------
 // --- 5. REACT COMPONENTS ---
 // ----------------------------------------------------------------------
 
-const DayHeader = ({ date, isSelected, onClick }) => {
+const DayHeader = ({ date, isSelected, isVacation, onClick }) => {
+    const { t, formatDate } = useI18n();
     const today = getToday();
-    const dayOfWeek = getDayOfWeek(date);
+    const dayOfWeek = formatDate(date, { weekday: 'short' });
     const dateParts = date.split('-');
     const dayOfMonth = dateParts[2];
     
@@ -211,33 +618,22 @@ const DayHeader = ({ date, isSelected, onClick }) => {
         >
             <span className={`text-xs uppercase font-medium ${date === today ? 'text-indigo-200' : ''}`}>{dayOfWeek}</span>
             <span className="text-xl font-bold">{dayOfMonth}</span>
+            {isVacation && <Palmtree size={12} aria-label={t('nav.vacation')} />}
         </div>
     );
 };
 
-const DateNavigator = ({ selectedDate, setSelectedDate }) => {
+const DateNavigator = ({ selectedDate, setSelectedDate, vacations, canSkipDay, onSkipDay }) => {
+    const { t } = useI18n();
     const today = getToday();
-    const dateObj = new Date(selectedDate);
 
-    const navDate = (offset) => {
-        const newDateObj = new Date(dateObj);
-        newDateObj.setDate(newDateObj.getDate() + offset);
-        setSelectedDate(newDateObj.toISOString().split('T')[0]);
-    };
+    const navDate = (offset) => setSelectedDate(addDays(selectedDate, offset));
 
     const setToday = () => setSelectedDate(today);
 
-    // Generate 7 days centered around the selected date
-    const dates = useMemo(() => {
-        const start = new Date(dateObj);
-        start.setDate(start.getDate() - 3); // Start 3 days before selected
-        
-        return Array.from({ length: 7 }, (_, i) => {
-            const d = new Date(start);
-            d.setDate(start.getDate() + i);
-            return d.toISOString().split('T')[0];
-        });
-    }, [selectedDate]);
+    // The week containing the selected date, from the configured first day
+    const weekStart = startOfWeek(selectedDate);
+    const dates = useMemo(() => Array.from({ length: 7 }, (_, i) => addDays(weekStart, i)), [weekStart]);
 
     return (
         <div className="flex flex-col items-center space-y-3 p-4 bg-white rounded-2xl shadow-xl mb-6">
@@ -245,7 +641,7 @@ const DateNavigator = ({ selectedDate, setSelectedDate }) => {
                 <button 
                     onClick={() => navDate(-7)} 
                     className="p-2 rounded-full text-indigo-600 hover:bg-indigo-50 transition-colors"
-                    aria-label="Previous Week"
+                    aria-label={t('nav.previousWeek')}
                 >
                     <ArrowLeft size={20} />
                 </button>
@@ -257,12 +653,12 @@ const DateNavigator = ({ selectedDate, setSelectedDate }) => {
                         : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
                     }`}
                 >
-                    {selectedDate === today ? 'Today' : 'Go To Today'}
+                    {selectedDate === today ? t('nav.today') : t('nav.goToToday')}
                 </button>
                 <button 
                     onClick={() => navDate(7)} 
                     className="p-2 rounded-full text-indigo-600 hover:bg-indigo-50 transition-colors"
-                    aria-label="Next Week"
+                    aria-label={t('nav.nextWeek')}
                 >
                     <ArrowRight size={20} />
                 </button>
@@ -274,233 +670,1668 @@ const DateNavigator = ({ selectedDate, setSelectedDate }) => {
                         key={date}
                         date={date}
                         isSelected={date === selectedDate}
+                        isVacation={isOnVacation(date, vacations)}
                         onClick={setSelectedDate}
                     />
                 ))}
             </div>
+
+            {isOnVacation(selectedDate, vacations) ? (
+                <p className="flex items-center text-xs text-sky-700">
+                    <Palmtree size={14} className="mr-1" /> {t('nav.onVacation')}
+                </p>
+            ) : canSkipDay && (
+                <button
+                    onClick={onSkipDay}
+                    className="flex items-center text-xs font-semibold text-gray-500 hover:text-sky-700"
+                >
+                    <SkipForward size={14} className="mr-1" /> {t('nav.skipRemaining')}
+                </button>
+            )}
         </div>
     );
 };
 
 
-const HabitItem = ({ habit, db, userId, selectedDate, isSelectedDateToday }) => {
-    const isCompleted = habit.completions && habit.completions[selectedDate];
-
-    // Disable toggling if the selected date is in the future
-    const isFutureDate = selectedDate > getToday();
-    const isEditable = isSelectedDateToday && !isFutureDate;
-
-    // Determine the style for the completion icon
-    let statusClass = 'text-gray-300 hover:text-gray-400';
-    if (isCompleted) {
-        statusClass = 'text-green-500 hover:text-green-600';
-    } else if (isFutureDate) {
-        statusClass = 'text-gray-200 cursor-not-allowed';
-    }
+const isBackfilled = (entry) => toLocalDate(entry.changedAt) !== entry.date;
 
-    const handleToggle = (e) => {
-        e.stopPropagation();
-        if (isEditable) {
-            toggleCompletion(db, userId, habit);
-        }
-    };
+const HabitHistory = ({ habit, history }) => {
+    const { t, formatDateTime } = useI18n();
+    const entries = history.slice(-HISTORY_PREVIEW_LIMIT).reverse();
+    return (
+        <ul className="mt-3 space-y-1 text-xs text-gray-600 border-t border-gray-100 pt-2">
+            {entries.map(entry => (
+                <li key={`${entry.date}-${entry.changedAt}`} className="flex justify-between">
+                    <span>
+                        {entry.date}: {formatCompletionValue(habit, entry.from, t)} &rarr; {formatCompletionValue(habit, entry.to, t)}
+                        {isBackfilled(entry) && <span className="ml-1 text-amber-600 font-semibold">{t('history.backfilled')}</span>}
+                    </span>
+                    <span className="text-gray-400" title={t('history.changedBy', { user: entry.changedBy })}>
+                        {formatDateTime(entry.changedAt)}
+                    </span>
+                </li>
+            ))}
+        </ul>
+    );
+};
 
-    const handleDelete = (e) => {
-        e.stopPropagation();
-        // Use a simple, non-blocking visual feedback instead of window.confirm
-        if (window.confirm(`Are you sure you want to delete the habit "${habit.name}"? This cannot be undone.`)) {
-             deleteHabit(db, userId, habit.id);
-        }
-    }
+const formatPercent = (ratio) => ratio === null ? '-' : `${Math.round(ratio * 100)}%`;
 
+const HabitStatsPanel = ({ stats, freezesPerMonth = 0 }) => {
+    const { t, formatDate, formatWeekday } = useI18n();
     return (
-        <div 
-            className={`flex items-center justify-between p-4 mb-3 bg-white rounded-xl shadow-md transition-all duration-300 ${isCompleted ? 'border-l-8 border-green-500' : 'border-l-8 border-gray-100'}`}
-        >
-            <div className="flex-grow">
-                <p className="text-lg font-semibold text-gray-800">{habit.name}</p>
-                <p className="text-xs text-gray-500 mt-1">
-                    Created: {new Date(habit.createdAt).toLocaleDateString()}
-                </p>
+        <div className="mt-3 border-t border-gray-100 pt-3 text-sm text-gray-700">
+            <div className="grid grid-cols-3 gap-2 text-center">
+                <div className="p-2 bg-gray-50 rounded-lg">
+                    <p className="text-xs text-gray-500">{t('stats.currentStreak')}</p>
+                    <p className="font-bold">{stats.currentStreak}</p>
+                </div>
+                <div className="p-2 bg-gray-50 rounded-lg">
+                    <p className="text-xs text-gray-500">{t('stats.longestStreak')}</p>
+                    <p className="font-bold">{stats.longestStreak}</p>
+                </div>
+                <div className="p-2 bg-gray-50 rounded-lg">
+                    <p className="text-xs text-gray-500">{t('stats.total')}</p>
+                    <p className="font-bold">{stats.totalCompletions}</p>
+                </div>
+                {RATE_WINDOWS.map(days => (
+                    <div key={days} className="p-2 bg-gray-50 rounded-lg">
+                        <p className="text-xs text-gray-500">{t('stats.lastDays', { count: days })}</p>
+                        <p className="font-bold">{formatPercent(stats.rates[days])}</p>
+                    </div>
+                ))}
             </div>
-            
-            <div className="flex items-center space-x-3">
-                <button 
-                    onClick={handleToggle} 
-                    disabled={isFutureDate || !isEditable}
-                    className={`p-2 rounded-full transition-colors ${isEditable ? 'cursor-pointer' : 'cursor-default'}`}
-                    aria-label={isCompleted ? "Mark Incomplete" : "Mark Complete"}
-                >
-                    <CircleCheck size={28} className={statusClass} fill={isCompleted ? statusClass.split('-')[0] : 'none'} />
-                </button>
-                
-                <button 
-                    onClick={handleDelete}
-                    className="p-1 text-red-400 hover:text-red-600 transition-colors"
-                    aria-label="Delete Habit"
-                >
-                    <Trash2 size={20} />
-                </button>
+            <div className="flex justify-between mt-3">
+                {weekdayOrder().map(weekday => {
+                    const { completed, total } = stats.weekdays[weekday];
+                    return (
+                        <div key={weekday} className="flex flex-col items-center text-xs" title={t('stats.weekdayDetail', { completed, total })}>
+                            <span className="text-gray-500">{formatWeekday(weekday)}</span>
+                            <span className="font-semibold">{total > 0 ? formatPercent(completed / total) : '-'}</span>
+                        </div>
+                    );
+                })}
             </div>
+            {freezesPerMonth > 0 && (
+                <p className="flex items-center mt-3 text-xs text-sky-700">
+                    <Snowflake size={14} className="mr-1" />
+                    {t('stats.freezesUsed', { used: stats.freezesUsed, count: freezesPerMonth })}
+                </p>
+            )}
+            {stats.since && (
+                <p className="mt-3 text-xs text-gray-500">{t('stats.since', { date: formatDate(stats.since) })}</p>
+            )}
         </div>
     );
 };
 
-const AddHabitForm = ({ db, userId, habitsCount }) => {
-    const [name, setName] = useState('');
-    const [isAdding, setIsAdding] = useState(false);
-    
-    const maxedOut = habitsCount >= HABIT_LIMIT;
+const DayStatusBadge = ({ habit, status, date }) => {
+    const { t } = useI18n();
+    const schedule = getSchedule(habit);
+    const weekProgress = schedule.type === 'timesPerWeek'
+        ? t('status.weekProgress', { done: completionsInWeek(habit, date), count: schedule.count })
+        : '';
 
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        if (name.trim() && habitsCount < HABIT_LIMIT) {
-            createHabit(db, userId, name.trim(), habitsCount);
-            setName('');
-            setIsAdding(false);
-        }
+    const styles = {
+        done: 'bg-green-100 text-green-700',
+        satisfied: 'bg-green-50 text-green-600',
+        due: 'bg-indigo-100 text-indigo-700',
+        missed: 'bg-red-100 text-red-700',
+        skipped: 'bg-sky-100 text-sky-700',
+        frozen: 'bg-sky-100 text-sky-700',
+        'not-due': 'bg-gray-100 text-gray-500',
     };
+    return (
+        <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${styles[status]}`}>
+            {t(`status.${status}`)}{weekProgress}
+        </span>
+    );
+};
 
-    if (maxedOut && !isAdding) {
-        return (
-            <div className="text-center p-4 bg-yellow-100 text-yellow-800 rounded-xl font-medium shadow-inner mt-4">
-                Limit reached: You can track up to {HABIT_LIMIT} habits.
-            </div>
-        );
-    }
+const ProgressRing = ({ value, target, size = 40 }) => {
+    const { t } = useI18n();
+    const stroke = 4;
+    const radius = (size - stroke) / 2;
+    const circumference = 2 * Math.PI * radius;
+    const ratio = Math.min(1, target > 0 ? value / target : 0);
 
     return (
-        <div className="mt-4">
-            {isAdding ? (
-                <form onSubmit={handleSubmit} className="flex flex-col space-y-2 p-4 bg-white rounded-xl shadow-lg border border-indigo-200">
-                    <input
-                        type="text"
-                        value={name}
-                        onChange={(e) => setName(e.target.value)}
-                        placeholder="Enter new habit name (e.g., Read 30 min)"
-                        className="p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-                        maxLength={50}
-                        required
-                        autoFocus
-                    />
-                    <div className="flex justify-end space-x-2">
-                        <button
-                            type="button"
-                            onClick={() => setIsAdding(false)}
-                            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors"
-                        >
-                            Cancel
-                        </button>
-                        <button
-                            type="submit"
-                            className="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition-colors shadow-md"
-                        >
-                            Add Habit
-                        </button>
-                    </div>
-                </form>
-            ) : (
-                <button
-                    onClick={() => setIsAdding(true)}
-                    className="w-full flex items-center justify-center p-4 bg-indigo-50 hover:bg-indigo-100 text-indigo-600 rounded-xl font-semibold transition-colors shadow-md"
-                >
-                    <Plus size={20} className="mr-2" /> Add a New Habit
-                </button>
-            )}
-        </div>
+        <svg width={size} height={size} className="-rotate-90" role="img" aria-label={t('progress.ofTarget', { value, target })}>
+            <circle cx={size / 2} cy={size / 2} r={radius} strokeWidth={stroke} fill="none" className="stroke-gray-200" />
+            <circle
+                cx={size / 2}
+                cy={size / 2}
+                r={radius}
+                strokeWidth={stroke}
+                fill="none"
+                strokeLinecap="round"
+                strokeDasharray={circumference}
+                strokeDashoffset={circumference * (1 - ratio)}
+                className={`transition-all duration-300 ${ratio >= 1 ? 'stroke-green-500' : 'stroke-indigo-500'}`}
+            />
+        </svg>
     );
 };
 
-const Header = ({ formattedUserId }) => (
-    <div className="flex justify-between items-center p-4 bg-white shadow-lg rounded-b-2xl mb-6">
-        <h1 className="text-3xl font-extrabold text-indigo-700">Habit Forge Lite</h1>
-        <div className="text-right text-xs text-gray-500">
-            User ID: 
-            <span title="Your unique session ID" className="block font-mono text-gray-700 text-sm">
-                {formattedUserId}
-            </span>
-        </div>
-    </div>
-);
-
-// ----------------------------------------------------------------------
-// --- 6. MAIN APP COMPONENT ---
-// ----------------------------------------------------------------------
+const QuantityControls = ({ habit, value, isEditable, onChange }) => {
+    const { t } = useI18n();
+    const step = habit.step || 1;
+    // A typed amount is saved on blur or Enter, so typing "120" writes one
+    // check-in instead of one per keystroke. null while nothing is typed.
+    const [draft, setDraft] = useState(null);
 
-const App = () => {
-    const { db, userId, isAuthReady, formattedUserId } = useFirebaseSetup();
-    const { habits, isLoading } = useHabits(db, userId, isAuthReady);
-    const [selectedDate, setSelectedDate] = useState(getToday());
+    const commitDraft = () => {
+        if (draft === null) return;
+        const amount = Number(draft) || 0;
+        setDraft(null);
+        if (amount !== value) onChange(amount);
+    };
 
-    const isSelectedDateToday = selectedDate === getToday();
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') commitDraft();
+        if (e.key === 'Escape') setDraft(null);
+    };
 
     return (
-        <div className="min-h-screen bg-gray-50 font-sans">
-            <Header formattedUserId={formattedUserId} />
-            
-            <div className="container mx-auto p-4 max-w-xl">
-                {/* Date Navigation */}
-                <DateNavigator 
-                    selectedDate={selectedDate} 
-                    setSelectedDate={setSelectedDate} 
+        <div className="flex items-center space-x-1">
+            <button
+                onClick={() => onChange(value - step)}
+                disabled={!isEditable || value <= 0}
+                className="p-1 rounded-full text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                aria-label={t('quantity.decrease', { step })}
+            >
+                <Minus size={18} />
+            </button>
+            <div className="relative flex items-center justify-center">
+                <ProgressRing value={value} target={habit.target} size={48} />
+                <input
+                    type="number"
+                    min={0}
+                    step={step}
+                    value={draft ?? value}
+                    disabled={!isEditable}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onBlur={commitDraft}
+                    onKeyDown={handleKeyDown}
+                    className="absolute w-9 text-center text-xs font-bold bg-transparent appearance-none"
+                    aria-label={t('quantity.amount', { unit: habit.unit || t('quantity.units') })}
                 />
-
-                {/* Habit List */}
-                <div className="mb-8">
-                    <h2 className="text-xl font-bold text-gray-700 mb-4 flex items-center">
-                        <CalendarDays size={20} className="mr-2 text-indigo-600" />
-                        Habits for {isSelectedDateToday ? "Today" : selectedDate}
-                    </h2>
-                    
-                    {isLoading || !isAuthReady ? (
-                        <div className="flex justify-center items-center h-48 bg-white rounded-xl shadow-lg">
-                            <Loader2 size={32} className="animate-spin text-indigo-500" />
-                            <span className="ml-3 text-indigo-500 font-medium">Loading Data...</span>
-                        </div>
+            </div>
+            <button
+                onClick={() => onChange(value + step)}
+                disabled={!isEditable}
+                className="p-1 rounded-full text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                aria-label={t('quantity.increase', { step })}
+            >
+                <Plus size={18} />
+            </button>
+        </div>
+    );
+};
+
+const HabitName = ({ habit, repository, userId }) => {
+    const { t } = useI18n();
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(habit.name);
+
+    const startEditing = () => {
+        setDraft(habit.name);
+        setIsEditing(true);
+    };
+
+    const save = () => {
+        const name = draft.trim();
+        if (name && name !== habit.name) {
+            renameHabit(repository, userId, habit.id, name);
+        }
+        setIsEditing(false);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') save();
+        if (e.key === 'Escape') setIsEditing(false);
+    };
+
+    if (isEditing) {
+        return (
+            <input
+                type="text"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={save}
+                onKeyDown={handleKeyDown}
+                maxLength={50}
+                className="text-lg font-semibold text-gray-800 border-b border-indigo-300 focus:outline-none"
+                aria-label={t('habit.name')}
+                autoFocus
+            />
+        );
+    }
+
+    return (
+        <span className="flex items-center group">
+            {habit.name}
+            <button
+                onClick={startEditing}
+                className="ml-1 p-1 text-gray-300 hover:text-indigo-600 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+                aria-label={t('habit.rename')}
+            >
+                <Pencil size={14} />
+            </button>
+        </span>
+    );
+};
+
+const ReminderEditor = ({ habit, repository, userId }) => {
+    const { t } = useI18n();
+    const [time, setTime] = useState(habit.reminderTime || '08:00');
+    const [permission, setPermission] = useState(typeof Notification !== 'undefined' ? Notification.permission : 'unsupported');
+
+    const save = async () => {
+        if (!isValidReminderTime(time)) return;
+        if (permission === 'default') {
+            setPermission(await Notification.requestPermission());
+        }
+        setReminder(repository, userId, habit.id, time);
+    };
+
+    return (
+        <div className="mt-3 border-t border-gray-100 pt-3 text-sm text-gray-700 flex flex-wrap items-center gap-2">
+            <label className="flex items-center space-x-2">
+                <span>{t('reminder.remindAt')}</span>
+                <input
+                    type="time"
+                    value={time}
+                    onChange={(e) => setTime(e.target.value)}
+                    className="p-1 border border-gray-300 rounded-lg"
+                />
+            </label>
+            <button onClick={save} className="px-3 py-1 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700">
+                {t('common.save')}
+            </button>
+            {habit.reminderTime && (
+                <button
+                    onClick={() => setReminder(repository, userId, habit.id, null)}
+                    className="flex items-center px-3 py-1 text-sm font-semibold text-gray-600 bg-gray-200 rounded-lg hover:bg-gray-300"
+                >
+                    <BellOff size={14} className="mr-1" /> {t('reminder.turnOff')}
+                </button>
+            )}
+            {permission === 'denied' && (
+                <p className="w-full text-xs text-red-600">{t('reminder.blocked')}</p>
+            )}
+            {permission === 'unsupported' && (
+                <p className="w-full text-xs text-gray-500">{t('reminder.unsupported')}</p>
+            )}
+        </div>
+    );
+};
+
+const RatingPicker = ({ rating, onChange }) => {
+    const { t } = useI18n();
+    return (
+        <div className="flex items-center space-x-1" role="radiogroup" aria-label={t('note.rating')}>
+            {RATINGS.map(value => (
+                <button
+                    key={value}
+                    role="radio"
+                    aria-checked={rating === value}
+                    title={t(`rating.${value}`)}
+                    onClick={() => onChange(rating === value ? null : value)}
+                    className={`w-8 h-8 rounded-full text-sm font-semibold transition-colors ${
+                        rating === value ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                    }`}
+                >
+                    {value}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+const NoteEditor = ({ habit, date, repository, userId, onClose }) => {
+    const { t, formatDate } = useI18n();
+    const note = getNote(habit, date);
+    const [text, setText] = useState(note ? note.text : '');
+    const [rating, setRating] = useState(note ? note.rating : null);
+
+    const handleSave = async () => {
+        await saveNote(repository, userId, habit.id, date, { text, rating });
+        onClose();
+    };
+
+    return (
+        <div className="mt-3 border-t border-gray-100 pt-3 text-sm text-gray-700 space-y-2">
+            <p className="font-semibold">{t('note.title', { date: formatDate(date) })}</p>
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                maxLength={NOTE_TEXT_LIMIT}
+                rows={3}
+                placeholder={t('note.placeholder')}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <label className="flex items-center space-x-2">
+                    <span>{t('note.rating')}</span>
+                    <RatingPicker rating={rating} onChange={setRating} />
+                </label>
+                <div className="flex space-x-2">
+                    {note && (
+                        <button
+                            onClick={async () => { await saveNote(repository, userId, habit.id, date, {}); onClose(); }}
+                            className="px-3 py-1 text-sm font-semibold text-gray-600 bg-gray-200 rounded-lg hover:bg-gray-300"
+                        >
+                            {t('common.clear')}
+                        </button>
+                    )}
+                    <button onClick={handleSave} className="px-3 py-1 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700">
+                        {t('common.save')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// A past day that is still 'due' was missed, unless a streak freeze covered it.
+const displayStatusOf = (habit, date, today, pauses) => {
+    const status = getDayStatus(habit, date, pauses);
+    if (status !== 'due' || date >= today) return status;
+    const state = createDayClassifier(habit, today, pauses)(date);
+    if (state === 'frozen') return 'frozen';
+    return state === 'missed' ? 'missed' : status;
+};
+
+const newChallengeDraft = (today) => ({ kind: 'streak', target: 30, start: today, end: addDays(today, 29) });
+
+const challengeName = (t, { kind, target }) => t(`challenge.name.${kind}`, { target });
+
+// Edits a challenge draft ({ kind, target, start, end }) in place.
+const ChallengeFields = ({ challenge, onChange }) => {
+    const { t } = useI18n();
+    const days = challenge.start <= challenge.end ? windowLength(challenge) : 0;
+
+    return (
+        <div className="flex flex-col space-y-2 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+                <select
+                    value={challenge.kind}
+                    onChange={(e) => onChange({ ...challenge, kind: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg"
+                    aria-label={t('challenge.kind')}
+                >
+                    <option value="streak">{t('challenge.option.streak')}</option>
+                    <option value="count">{t('challenge.option.count')}</option>
+                </select>
+                <input
+                    type="number"
+                    min={1}
+                    value={challenge.target}
+                    onChange={(e) => onChange({ ...challenge, target: Number(e.target.value) })}
+                    className="w-20 p-2 border border-gray-300 rounded-lg"
+                    aria-label={t('challenge.target')}
+                />
+                <span>{t('challenge.days')}</span>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+                <span>{t('challenge.between')}</span>
+                <input
+                    type="date"
+                    value={challenge.start}
+                    onChange={(e) => onChange({ ...challenge, start: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg"
+                    aria-label={t('challenge.start')}
+                />
+                <span>{t('challenge.to')}</span>
+                <input
+                    type="date"
+                    value={challenge.end}
+                    min={challenge.start}
+                    onChange={(e) => onChange({ ...challenge, end: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg"
+                    aria-label={t('challenge.end')}
+                />
+            </div>
+            {days > 0 && challenge.target > days && (
+                <p className="text-xs text-red-600">{t('challenge.tooLong', { count: days })}</p>
+            )}
+        </div>
+    );
+};
+
+// Progress bar and deadline for a habit's running challenge.
+const ChallengeProgress = ({ challenge, evaluation }) => {
+    const { t, formatDate } = useI18n();
+    const percent = Math.min(100, Math.round((evaluation.achieved / evaluation.target) * 100));
+
+    let detail = t('challenge.endsOn', { date: formatDate(challenge.end) });
+    if (evaluation.status === 'upcoming') {
+        detail = t('challenge.upcoming', { date: formatDate(challenge.start) });
+    } else if (evaluation.projectedOn) {
+        const key = evaluation.projectedOn <= challenge.end ? 'challenge.projected' : 'challenge.behind';
+        detail = `${detail} · ${t(key, { date: formatDate(evaluation.projectedOn) })}`;
+    }
+
+    return (
+        <div className="mt-2">
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+                <span className="flex items-center font-semibold">
+                    <Trophy size={12} className="mr-1 text-amber-500" /> {challengeName(t, challenge)}
+                </span>
+                <span>{t('progress.ofTarget', { value: evaluation.achieved, target: evaluation.target })}</span>
+            </div>
+            <div
+                className="h-2 bg-gray-100 rounded-full overflow-hidden"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={evaluation.target}
+                aria-valuenow={evaluation.achieved}
+            >
+                <div className="h-full bg-amber-400 transition-all" style={{ width: `${percent}%` }} />
+            </div>
+            <p className="text-xs text-gray-500 mt-1">{detail}</p>
+        </div>
+    );
+};
+
+const ChallengeEditor = ({ habit, repository, userId }) => {
+    const { t, formatDate } = useI18n();
+    const [draft, setDraft] = useState(() => {
+        if (!habit.challenge) return newChallengeDraft(getToday());
+        const { kind, target, start, end } = habit.challenge;
+        return { kind, target, start, end };
+    });
+    const results = [...(habit.challengeResults || [])].reverse();
+
+    return (
+        <div className="mt-3 border-t border-gray-100 pt-3 text-sm text-gray-700 space-y-2">
+            <ChallengeFields challenge={draft} onChange={setDraft} />
+            <div className="flex justify-end space-x-2">
+                {habit.challenge && (
+                    <button
+                        onClick={() => setChallenge(repository, userId, habit.id, null)}
+                        className="px-3 py-1 text-sm font-semibold text-gray-600 bg-gray-200 rounded-lg hover:bg-gray-300"
+                    >
+                        {t('challenge.remove')}
+                    </button>
+                )}
+                <button
+                    onClick={() => setChallenge(repository, userId, habit.id, draft)}
+                    disabled={!isValidChallenge(draft)}
+                    className="px-3 py-1 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-40"
+                >
+                    {t('common.save')}
+                </button>
+            </div>
+            {results.length > 0 && (
+                <div>
+                    <p className="text-xs font-semibold text-gray-500 mb-1">{t('challenge.past')}</p>
+                    <ul className="space-y-1">
+                        {results.map(result => (
+                            <li key={result.id} className="flex justify-between text-xs">
+                                <span>
+                                    {challengeName(t, result)} · {formatDate(result.start)} – {formatDate(result.end)}
+                                </span>
+                                <span className={result.outcome === 'succeeded' ? 'font-semibold text-green-600' : 'font-semibold text-red-500'}>
+                                    {t(`challenge.outcome.${result.outcome}`)} · {t('progress.ofTarget', { value: result.achieved, target: result.target })}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// `reorder` carries the drag-and-drop and keyboard handlers from SortableHabitList.
+const HabitItem = ({ habit, repository, userId, selectedDate, pauses, reorder, onDelete }) => {
+    const i18n = useI18n();
+    const { t, formatDate } = i18n;
+    const [showHistory, setShowHistory] = useState(false);
+    const [showStats, setShowStats] = useState(false);
+    const [showReminder, setShowReminder] = useState(false);
+    const [showNote, setShowNote] = useState(false);
+    const [showChallenge, setShowChallenge] = useState(false);
+    const today = getToday();
+    const note = getNote(habit, selectedDate);
+    // `startOfWeek(today)` changes with the first-day-of-week setting, which
+    // weekly schedules depend on.
+    const weekStart = startOfWeek(today);
+    const stats = useMemo(() => computeHabitStats(habit, today, pauses), [habit, today, pauses, weekStart]);
+    const challengeEvaluation = useMemo(
+        () => (isValidChallenge(habit.challenge) ? evaluateChallenge(habit, habit.challenge, today, pauses) : null),
+        [habit, today, pauses, weekStart]
+    );
+    const isCompleted = isCompletedOn(habit, selectedDate);
+    const dayStatus = useMemo(() => displayStatusOf(habit, selectedDate, today, pauses), [habit, selectedDate, today, pauses, weekStart]);
+    const isRestDay = dayStatus === 'not-due' || dayStatus === 'satisfied';
+    const isSkipped = dayStatus === 'skipped';
+    const isOnVacationDay = isOnVacation(selectedDate, pauses.vacations);
+    const history = habit.history || [];
+    const wasBackfilled = history.some(entry => entry.date === selectedDate && isBackfilled(entry));
+
+    // Disable toggling for future dates and for dates older than the backfill window
+    const isFutureDate = selectedDate > today;
+    const isEditable = isWithinBackfillWindow(selectedDate);
+
+    // Determine the style for the completion icon
+    let statusClass = 'text-gray-300 hover:text-gray-400';
+    if (isCompleted) {
+        statusClass = 'text-green-500 hover:text-green-600';
+    } else if (isFutureDate) {
+        statusClass = 'text-gray-200 cursor-not-allowed';
+    }
+
+    const handleToggle = (e) => {
+        e.stopPropagation();
+        if (isEditable) {
+            toggleCompletion(repository, userId, habit, selectedDate);
+        }
+    };
+
+    const handleProgressChange = (amount) => {
+        if (isEditable) {
+            setProgress(repository, userId, habit, selectedDate, amount);
+        }
+    };
+
+    const handleSkip = () => {
+        if (isEditable) {
+            setSkipped(repository, userId, habit, selectedDate, !isMarkedSkipped(habit, selectedDate));
+        }
+    };
+
+    const handleDelete = (e) => {
+        e.stopPropagation();
+        // Non-blocking: the habit goes to the trash and an undo toast is shown
+        onDelete(habit);
+    }
+
+    return (
+        <div 
+            className={`p-4 mb-3 bg-white rounded-xl shadow-md transition-all duration-300 ${isCompleted ? 'border-l-8 border-green-500' : isSkipped ? 'border-l-8 border-dashed border-sky-300' : 'border-l-8 border-gray-100'} ${isRestDay || isSkipped ? 'opacity-70' : ''} ${reorder.isDragging ? 'opacity-40' : ''} ${reorder.isDropTarget ? 'ring-2 ring-indigo-300' : ''}`}
+            onDragOver={reorder.onDragOver}
+            onDrop={reorder.onDrop}
+        >
+            <div className="flex items-center justify-between">
+                <button
+                    draggable
+                    onDragStart={reorder.onDragStart}
+                    onDragEnd={reorder.onDragEnd}
+                    onKeyDown={reorder.onKeyDown}
+                    className="mr-2 p-1 text-gray-300 hover:text-gray-500 cursor-grab"
+                    aria-label={t('habit.reorder', { name: habit.name })}
+                >
+                    <GripVertical size={18} />
+                </button>
+                <div className="flex-grow">
+                    <p className="text-lg font-semibold text-gray-800 flex items-center">
+                        <HabitName habit={habit} repository={repository} userId={userId} />
+                        {stats.currentStreak > 0 && (
+                            <span className="ml-2 flex items-center text-sm font-bold text-orange-500" title={t('habit.currentStreak')}>
+                                <Flame size={16} className="mr-0.5" /> {stats.currentStreak}
+                            </span>
+                        )}
+                        <DayStatusBadge habit={habit} status={dayStatus} date={selectedDate} />
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                        {describeSchedule(getSchedule(habit), i18n)}
+                        {isQuantityHabit(habit) && ` · ${t('habit.goal', { target: habit.target, unit: habit.unit })}`}
+                        {habit.reminderTime && ` · ${t('habit.reminderAt', { time: habit.reminderTime })}`}
+                        {isValidTimestamp(habit.createdAt) && ` · ${t('habit.created', { date: formatDate(toLocalDate(habit.createdAt)) })}`}
+                        {wasBackfilled && <span className="ml-2 text-amber-600 font-semibold">{t('habit.editedRetroactively')}</span>}
+                    </p>
+                    {note && !showNote && (
+                        <p className="text-xs text-gray-600 mt-1 italic truncate">
+                            {note.rating && <span className="not-italic font-semibold mr-1">{note.rating}/5</span>}
+                            {note.text}
+                        </p>
+                    )}
+                    {challengeEvaluation && <ChallengeProgress challenge={habit.challenge} evaluation={challengeEvaluation} />}
+                </div>
+                
+                <div className="flex items-center space-x-3">
+                    {isQuantityHabit(habit) ? (
+                        <QuantityControls
+                            habit={habit}
+                            value={getProgress(habit, selectedDate)}
+                            isEditable={isEditable}
+                            onChange={handleProgressChange}
+                        />
                     ) : (
-                        <div>
-                            {habits.length === 0 ? (
-                                <div className="p-6 text-center bg-gray-100 text-gray-600 rounded-xl border-dashed border-2 border-gray-300">
-                                    <p className="font-semibold">No habits tracked yet.</p>
-                                    <p className="text-sm mt-1">Use the button below to start building your routine!</p>
-                                </div>
-                            ) : (
-                                habits.map(habit => (
-                                    <HabitItem
-                                        key={habit.id}
-                                        habit={habit}
-                                        db={db}
+                        <button 
+                            onClick={handleToggle} 
+                            disabled={isFutureDate || !isEditable}
+                            className={`p-2 rounded-full transition-colors ${isEditable ? 'cursor-pointer' : 'cursor-default'}`}
+                            aria-label={isCompleted ? t('habit.markIncomplete') : t('habit.markComplete')}
+                        >
+                            <CircleCheck size={28} className={statusClass} fill={isCompleted ? statusClass.split('-')[0] : 'none'} />
+                        </button>
+                    )}
+                    
+                    <button 
+                        onClick={handleSkip}
+                        disabled={!isEditable || isCompleted || isOnVacationDay}
+                        className={`p-1 transition-colors ${isMarkedSkipped(habit, selectedDate) ? 'text-sky-600' : 'text-gray-400'} hover:text-sky-700 disabled:opacity-30`}
+                        aria-label={isMarkedSkipped(habit, selectedDate) ? t('habit.unskipDay') : t('habit.skipDay')}
+                        aria-pressed={isMarkedSkipped(habit, selectedDate)}
+                    >
+                        <SkipForward size={20} />
+                    </button>
+
+                    <button 
+                        onClick={() => setShowStats(!showStats)}
+                        className="p-1 text-gray-400 hover:text-indigo-600 transition-colors"
+                        aria-label={t('habit.showStats')}
+                        aria-expanded={showStats}
+                    >
+                        {showStats ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
+                    </button>
+
+                    <button 
+                        onClick={() => setShowNote(!showNote)}
+                        className={`p-1 transition-colors ${note ? 'text-indigo-500' : 'text-gray-400'} hover:text-indigo-600`}
+                        aria-label={t('habit.addNote')}
+                        aria-expanded={showNote}
+                    >
+                        <StickyNote size={20} />
+                    </button>
+
+                    <button 
+                        onClick={() => setShowChallenge(!showChallenge)}
+                        className={`p-1 transition-colors ${habit.challenge ? 'text-amber-500' : 'text-gray-400'} hover:text-indigo-600`}
+                        aria-label={t('challenge.edit')}
+                        aria-expanded={showChallenge}
+                    >
+                        <Trophy size={20} />
+                    </button>
+
+                    <button 
+                        onClick={() => setShowReminder(!showReminder)}
+                        className={`p-1 transition-colors ${habit.reminderTime ? 'text-indigo-500' : 'text-gray-400'} hover:text-indigo-600`}
+                        aria-label={t('habit.setReminder')}
+                        aria-expanded={showReminder}
+                    >
+                        <Bell size={20} />
+                    </button>
+
+                    <button 
+                        onClick={() => setShowHistory(!showHistory)}
+                        disabled={history.length === 0}
+                        className="p-1 text-gray-400 hover:text-indigo-600 disabled:opacity-30 transition-colors"
+                        aria-label={t('habit.showHistory')}
+                        aria-expanded={showHistory}
+                    >
+                        <History size={20} />
+                    </button>
+                    
+                    <button 
+                        onClick={() => setHabitArchived(repository, userId, habit.id, true)}
+                        className="p-1 text-gray-400 hover:text-indigo-600 transition-colors"
+                        aria-label={t('habit.archive')}
+                    >
+                        <Archive size={20} />
+                    </button>
+
+                    <button 
+                        onClick={handleDelete}
+                        className="p-1 text-red-400 hover:text-red-600 transition-colors"
+                        aria-label={t('habit.delete')}
+                    >
+                        <Trash2 size={20} />
+                    </button>
+                </div>
+            </div>
+
+            {showStats && <HabitStatsPanel stats={stats} freezesPerMonth={pauses.streakFreezesPerMonth} />}
+            {showNote && (
+                <NoteEditor
+                    key={selectedDate}
+                    habit={habit}
+                    date={selectedDate}
+                    repository={repository}
+                    userId={userId}
+                    onClose={() => setShowNote(false)}
+                />
+            )}
+            {showChallenge && <ChallengeEditor key={habit.challenge ? habit.challenge.id : 'new'} habit={habit} repository={repository} userId={userId} />}
+            {showReminder && <ReminderEditor habit={habit} repository={repository} userId={userId} />}
+            {showHistory && history.length > 0 && <HabitHistory habit={habit} history={history} />}
+        </div>
+    );
+};
+
+// Labels are translated as `schedule.option.<type>`.
+const SCHEDULE_OPTIONS = [
+    { type: 'daily', defaults: {} },
+    { type: 'weekdays', defaults: { days: [1, 3, 5] } },
+    { type: 'timesPerWeek', defaults: { count: 3 } },
+    { type: 'everyNDays', defaults: { interval: 2 } },
+];
+
+const SchedulePicker = ({ schedule, onChange }) => {
+    const { t, formatWeekday } = useI18n();
+    const selectType = (type) => {
+        const option = SCHEDULE_OPTIONS.find(o => o.type === type);
+        onChange({ type, ...option.defaults });
+    };
+
+    const toggleDay = (day) => {
+        const days = schedule.days.includes(day)
+            ? schedule.days.filter(d => d !== day)
+            : [...schedule.days, day];
+        if (days.length > 0) onChange({ ...schedule, days });
+    };
+
+    return (
+        <div className="flex flex-col space-y-2 text-sm">
+            <select
+                value={schedule.type}
+                onChange={(e) => selectType(e.target.value)}
+                className="p-2 border border-gray-300 rounded-lg"
+                aria-label={t('schedule.label')}
+            >
+                {SCHEDULE_OPTIONS.map(o => <option key={o.type} value={o.type}>{t(`schedule.option.${o.type}`)}</option>)}
+            </select>
+
+            {schedule.type === 'weekdays' && (
+                <div className="flex space-x-1">
+                    {weekdayOrder().map(day => (
+                        <button
+                            key={day}
+                            type="button"
+                            onClick={() => toggleDay(day)}
+                            aria-pressed={schedule.days.includes(day)}
+                            className={`w-10 py-1 rounded-lg font-medium ${schedule.days.includes(day) ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-600'}`}
+                        >
+                            {formatWeekday(day)}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {schedule.type === 'timesPerWeek' && (
+                <label className="flex items-center space-x-2">
+                    <input
+                        type="number"
+                        min={1}
+                        max={7}
+                        value={schedule.count}
+                        onChange={(e) => onChange({ ...schedule, count: Math.min(7, Math.max(1, Number(e.target.value) || 1)) })}
+                        className="w-16 p-2 border border-gray-300 rounded-lg"
+                    />
+                    <span>{t('schedule.timesPerWeekSuffix')}</span>
+                </label>
+            )}
+
+            {schedule.type === 'everyNDays' && (
+                <label className="flex items-center space-x-2">
+                    <span>{t('schedule.everyPrefix')}</span>
+                    <input
+                        type="number"
+                        min={2}
+                        max={30}
+                        value={schedule.interval}
+                        onChange={(e) => onChange({ ...schedule, interval: Math.min(30, Math.max(2, Number(e.target.value) || 2)) })}
+                        className="w-16 p-2 border border-gray-300 rounded-lg"
+                    />
+                    <span>{t('schedule.everySuffix')}</span>
+                </label>
+            )}
+        </div>
+    );
+};
+
+// Renders the active habits and handles drag-and-drop as well as keyboard
+// reordering (arrow keys on a habit's grip handle).
+const SortableHabitList = ({ habits, archivedHabits, trashedHabits, repository, userId, selectedDate, pauses, onDelete }) => {
+    const [draggedId, setDraggedId] = useState(null);
+    const [dropTargetId, setDropTargetId] = useState(null);
+
+    // Archived and trashed habits keep their place after the active ones, so
+    // no order is ever shared and a restored habit comes back where it was.
+    const persistOrder = (orderedActive) => reorderHabits(repository, userId, [...orderedActive, ...archivedHabits, ...trashedHabits]);
+
+    const moveTo = (habitId, toIndex) => {
+        const fromIndex = habits.findIndex(h => h.id === habitId);
+        if (fromIndex < 0 || toIndex < 0 || toIndex >= habits.length || fromIndex === toIndex) return;
+        persistOrder(moveItem(habits, fromIndex, toIndex));
+    };
+
+    const reorderPropsFor = (habit, index) => ({
+        isDragging: draggedId === habit.id,
+        isDropTarget: dropTargetId === habit.id && draggedId !== habit.id,
+        onDragStart: (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            setDraggedId(habit.id);
+        },
+        onDragOver: (e) => {
+            if (!draggedId) return;
+            e.preventDefault();
+            setDropTargetId(habit.id);
+        },
+        onDrop: (e) => {
+            e.preventDefault();
+            if (draggedId) moveTo(draggedId, index);
+            setDraggedId(null);
+            setDropTargetId(null);
+        },
+        onDragEnd: () => {
+            setDraggedId(null);
+            setDropTargetId(null);
+        },
+        onKeyDown: (e) => {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                moveTo(habit.id, index + (e.key === 'ArrowUp' ? -1 : 1));
+            }
+        },
+    });
+
+    return habits.map((habit, index) => (
+        <HabitItem
+            key={habit.id}
+            habit={habit}
+            repository={repository}
+            userId={userId}
+            selectedDate={selectedDate}
+            pauses={pauses}
+            reorder={reorderPropsFor(habit, index)}
+            onDelete={onDelete}
+        />
+    ));
+};
+
+const ArchivedHabits = ({ habits, repository, userId, pauses, canRestore, habitLimit }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [statsFor, setStatsFor] = useState(null);
+    const today = getToday();
+
+    if (habits.length === 0) return null;
+
+    return (
+        <div className="mt-6">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="flex items-center text-sm font-semibold text-gray-500 hover:text-gray-700"
+                aria-expanded={isOpen}
+            >
+                {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                <span className="ml-1">{t('archived.title', { count: habits.length })}</span>
+            </button>
+            {isOpen && habits.map(habit => (
+                <div key={habit.id} className="p-3 mt-2 bg-gray-100 rounded-xl text-gray-600">
+                    <div className="flex items-center justify-between">
+                        <button
+                            onClick={() => setStatsFor(statsFor === habit.id ? null : habit.id)}
+                            className="font-semibold text-left hover:text-indigo-600"
+                            aria-expanded={statsFor === habit.id}
+                        >
+                            {habit.name}
+                        </button>
+                        <button
+                            onClick={() => setHabitArchived(repository, userId, habit.id, false)}
+                            disabled={!canRestore}
+                            title={canRestore ? t('common.restore') : t('habitLimit.reached', { count: habitLimit })}
+                            className="flex items-center px-2 py-1 text-sm text-indigo-600 hover:bg-indigo-50 rounded-lg disabled:opacity-40"
+                        >
+                            <ArchiveRestore size={16} className="mr-1" /> {t('common.restore')}
+                        </button>
+                    </div>
+                    {statsFor === habit.id && <HabitStatsPanel stats={computeHabitStats(habit, today, pauses)} freezesPerMonth={pauses.streakFreezesPerMonth} />}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const TrashBin = ({ habits, repository, userId, retentionDays, canRestore, habitLimit }) => {
+    const { t, formatDate } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [confirmingId, setConfirmingId] = useState(null);
+    const now = Date.now();
+
+    if (habits.length === 0) return null;
+
+    const handlePurge = (habitId) => {
+        if (confirmingId === habitId) {
+            purgeHabit(repository, userId, habitId);
+            setConfirmingId(null);
+        } else {
+            setConfirmingId(habitId);
+        }
+    };
+
+    return (
+        <div className="mt-4">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="flex items-center text-sm font-semibold text-gray-500 hover:text-gray-700"
+                aria-expanded={isOpen}
+            >
+                {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                <span className="ml-1">{t('trash.title', { count: habits.length })}</span>
+            </button>
+            {isOpen && habits.map(habit => (
+                <div key={habit.id} className="flex items-center justify-between p-3 mt-2 bg-red-50 rounded-xl text-gray-600">
+                    <div>
+                        <p className="font-semibold">{habit.name}</p>
+                        <p className="text-xs text-gray-500">
+                            {isValidTimestamp(habit.deletedAt)
+                                ? t('trash.deleted', { date: formatDate(toLocalDate(habit.deletedAt)), count: daysUntilPurge(habit, now, retentionDays) })
+                                : t('trash.deletedUndated')}
+                        </p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                        <button
+                            onClick={() => restoreHabit(repository, userId, habit.id)}
+                            disabled={!canRestore(habit)}
+                            title={canRestore(habit) ? t('common.restore') : t('habitLimit.reached', { count: habitLimit })}
+                            className="flex items-center px-2 py-1 text-sm text-indigo-600 hover:bg-indigo-50 rounded-lg disabled:opacity-40"
+                        >
+                            <ArchiveRestore size={16} className="mr-1" /> {t('common.restore')}
+                        </button>
+                        <button
+                            onClick={() => handlePurge(habit.id)}
+                            onBlur={() => setConfirmingId(null)}
+                            className="flex items-center px-2 py-1 text-sm text-red-600 hover:bg-red-100 rounded-lg"
+                        >
+                            <Trash2 size={16} className="mr-1" />
+                            {confirmingId === habit.id ? t('trash.confirm') : t('trash.deleteForever')}
+                        </button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Dismisses itself after UNDO_TOAST_MS; `onDismiss` must stay valid for that long.
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+    const { t } = useI18n();
+
+    useEffect(() => {
+        const timer = setTimeout(onDismiss, UNDO_TOAST_MS);
+        return () => clearTimeout(timer);
+    }, []);
+
+    return (
+        <div className="flex items-center space-x-4 px-4 py-3 bg-gray-800 text-white rounded-xl shadow-2xl" role="status">
+            <span className="text-sm">{message}</span>
+            <button onClick={onUndo} className="flex items-center text-sm font-semibold text-indigo-300 hover:text-indigo-200">
+                <Undo2 size={16} className="mr-1" /> {t('common.undo')}
+            </button>
+            <button onClick={onDismiss} className="text-gray-400 hover:text-gray-200" aria-label={t('common.dismiss')}>
+                <X size={16} />
+            </button>
+        </div>
+    );
+};
+
+const DEFAULT_MEASURE = { target: 8, step: 1 };
+
+// Switches a new habit between yes/no and quantity tracking.
+const MeasurePicker = ({ measure, onChange }) => {
+    const { t } = useI18n();
+    const updateNumber = (field) => (e) => {
+        const amount = Number(e.target.value);
+        if (amount > 0) onChange({ ...measure, [field]: amount });
+    };
+
+    return (
+        <div className="flex flex-col space-y-2 text-sm">
+            <label className="flex items-center space-x-2">
+                <input
+                    type="checkbox"
+                    checked={measure !== null}
+                    onChange={(e) => onChange(e.target.checked ? { ...DEFAULT_MEASURE, unit: t('measure.defaultUnit') } : null)}
+                />
+                <span>{t('measure.toggle')}</span>
+            </label>
+
+            {measure && (
+                <div className="flex items-center space-x-2">
+                    <input
+                        type="number"
+                        min={1}
+                        value={measure.target}
+                        onChange={updateNumber('target')}
+                        className="w-20 p-2 border border-gray-300 rounded-lg"
+                        aria-label={t('measure.target')}
+                    />
+                    <input
+                        type="text"
+                        value={measure.unit}
+                        onChange={(e) => onChange({ ...measure, unit: e.target.value })}
+                        className="w-28 p-2 border border-gray-300 rounded-lg"
+                        placeholder={t('measure.unitPlaceholder')}
+                        maxLength={20}
+                        aria-label={t('measure.unit')}
+                    />
+                    <span>{t('measure.perDay')}</span>
+                    <input
+                        type="number"
+                        min={1}
+                        value={measure.step}
+                        onChange={updateNumber('step')}
+                        className="w-16 p-2 border border-gray-300 rounded-lg"
+                        aria-label={t('measure.step')}
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+// `habitsCount` counts active habits only; `order` is where the new habit goes.
+const AddHabitForm = ({ repository, userId, habitsCount, habitLimit, order }) => {
+    const { t } = useI18n();
+    const [name, setName] = useState('');
+    const [schedule, setSchedule] = useState(DAILY_SCHEDULE);
+    const [measure, setMeasure] = useState(null);
+    const [challengeDraft, setChallengeDraft] = useState(null);
+    const [isAdding, setIsAdding] = useState(false);
+    
+    const maxedOut = habitsCount >= habitLimit;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (challengeDraft && !isValidChallenge(challengeDraft)) return;
+        if (name.trim() && habitsCount < habitLimit) {
+            createHabit(repository, userId, name.trim(), order, { schedule, measure, challenge: challengeDraft });
+            setName('');
+            setSchedule(DAILY_SCHEDULE);
+            setMeasure(null);
+            setChallengeDraft(null);
+            setIsAdding(false);
+        }
+    };
+
+    if (maxedOut && !isAdding) {
+        return (
+            <div className="text-center p-4 bg-yellow-100 text-yellow-800 rounded-xl font-medium shadow-inner mt-4">
+                {t('addHabit.limitReached', { count: habitLimit })}
+            </div>
+        );
+    }
+
+    return (
+        <div className="mt-4">
+            {isAdding ? (
+                <form onSubmit={handleSubmit} className="flex flex-col space-y-2 p-4 bg-white rounded-xl shadow-lg border border-indigo-200">
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder={t('addHabit.placeholder')}
+                        className="p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        maxLength={50}
+                        required
+                        autoFocus
+                    />
+                    <SchedulePicker schedule={schedule} onChange={setSchedule} />
+                    <MeasurePicker measure={measure} onChange={setMeasure} />
+                    <label className="flex items-center space-x-2 text-sm">
+                        <input
+                            type="checkbox"
+                            checked={challengeDraft !== null}
+                            onChange={(e) => setChallengeDraft(e.target.checked ? newChallengeDraft(getToday()) : null)}
+                        />
+                        <span>{t('challenge.toggle')}</span>
+                    </label>
+                    {challengeDraft && <ChallengeFields challenge={challengeDraft} onChange={setChallengeDraft} />}
+                    <div className="flex justify-end space-x-2">
+                        <button
+                            type="button"
+                            onClick={() => setIsAdding(false)}
+                            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors"
+                        >
+                            {t('common.cancel')}
+                        </button>
+                        <button
+                            type="submit"
+                            className="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition-colors shadow-md"
+                        >
+                            {t('addHabit.submit')}
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <button
+                    onClick={() => setIsAdding(true)}
+                    className="w-full flex items-center justify-center p-4 bg-indigo-50 hover:bg-indigo-100 text-indigo-600 rounded-xl font-semibold transition-colors shadow-md"
+                >
+                    <Plus size={20} className="mr-2" /> {t('addHabit.open')}
+                </button>
+            )}
+        </div>
+    );
+};
+
+const listTimeZones = () =>
+    typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [detectTimeZone()];
+
+// Latest hour that may still count as the previous day.
+const MAX_DAY_START_HOUR = 6;
+
+// Vacation ranges skip every habit; they are kept sorted by start date.
+const VacationSettings = ({ vacations, onSave }) => {
+    const { t, formatDate } = useI18n();
+    const today = getToday();
+    const [start, setStart] = useState(today);
+    const [end, setEnd] = useState(addDays(today, 6));
+    const isValidRange = start && end && start <= end;
+
+    const addVacation = () => {
+        if (!isValidRange) return;
+        onSave({ vacations: [...vacations, { start, end }].sort((a, b) => a.start.localeCompare(b.start)) });
+    };
+
+    return (
+        <div>
+            {vacations.length > 0 && (
+                <ul className="mb-2 space-y-1">
+                    {vacations.map(vacation => (
+                        <li key={`${vacation.start}-${vacation.end}`} className="flex items-center justify-between p-2 bg-sky-50 rounded-lg">
+                            <span className="flex items-center">
+                                <Palmtree size={14} className="mr-2 text-sky-700" />
+                                {formatDate(vacation.start)} – {formatDate(vacation.end)}
+                            </span>
+                            <button
+                                onClick={() => onSave({ vacations: vacations.filter(v => v !== vacation) })}
+                                className="p-1 text-gray-400 hover:text-red-600"
+                                aria-label={t('vacation.remove')}
+                            >
+                                <X size={16} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex flex-wrap items-center gap-2">
+                <input type="date" value={start} onChange={(e) => setStart(e.target.value)} className="p-2 border border-gray-300 rounded-lg" aria-label={t('vacation.start')} />
+                <span>{t('vacation.to')}</span>
+                <input type="date" value={end} min={start} onChange={(e) => setEnd(e.target.value)} className="p-2 border border-gray-300 rounded-lg" aria-label={t('vacation.end')} />
+                <button
+                    onClick={addVacation}
+                    disabled={!isValidRange}
+                    className="px-3 py-2 font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                >
+                    {t('common.add')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const SettingsPanel = ({ settings, onSave, onClose, habits, plan, shareProps, onImport, loadAllHabits, authUser, accountContext }) => {
+    const { t, formatWeekday } = useI18n();
+    const timeZones = useMemo(() => {
+        const zones = listTimeZones();
+        return zones.includes(settings.timeZone) ? zones : [settings.timeZone, ...zones];
+    }, [settings.timeZone]);
+
+    return (
+        <div className="p-4 mb-6 bg-white rounded-2xl shadow-xl text-sm text-gray-700">
+            <div className="flex justify-between items-center mb-3">
+                <h2 className="text-lg font-bold">{t('settings.title')}</h2>
+                <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" aria-label={t('settings.close')}>
+                    <X size={20} />
+                </button>
+            </div>
+
+            <h3 className="font-bold mb-2">{t('settings.account')}</h3>
+            <div className="mb-4">
+                <AccountPanel user={authUser} accountContext={accountContext} />
+                <p className="text-xs text-gray-500 mt-2">
+                    {t('plan.summary', { plan: planName(t, plan.plan), count: plan.habitLimit })}
+                </p>
+            </div>
+
+            <label className="flex items-center justify-between mb-4">
+                <span className="font-bold">{t('settings.language')}</span>
+                <select
+                    value={settings.language}
+                    onChange={(e) => onSave({ language: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg"
+                >
+                    {Object.entries(LOCALES).map(([locale, { label }]) => <option key={locale} value={locale}>{label}</option>)}
+                </select>
+            </label>
+
+            <h3 className="font-bold mb-2">{t('settings.calendar')}</h3>
+            <label className="flex items-center justify-between mb-2">
+                <span>{t('settings.timeZone')}</span>
+                <select
+                    value={settings.timeZone}
+                    onChange={(e) => onSave({ timeZone: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg max-w-[60%]"
+                >
+                    {timeZones.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+                </select>
+            </label>
+            <label className="flex items-center justify-between">
+                <span>{t('settings.dayStart')}</span>
+                <select
+                    value={settings.dayStartHour}
+                    onChange={(e) => onSave({ dayStartHour: Number(e.target.value) })}
+                    className="p-2 border border-gray-300 rounded-lg"
+                >
+                    {Array.from({ length: MAX_DAY_START_HOUR + 1 }, (_, hour) => (
+                        <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                    ))}
+                </select>
+            </label>
+            <p className="text-xs text-gray-500 mt-2">
+                {t('settings.dayStartHint')}
+            </p>
+            <label className="flex items-center justify-between mt-2">
+                <span>{t('settings.weekStart')}</span>
+                <select
+                    value={settings.weekStartsOn}
+                    onChange={(e) => onSave({ weekStartsOn: Number(e.target.value) })}
+                    className="p-2 border border-gray-300 rounded-lg"
+                >
+                    {WEEK_START_OPTIONS.map(weekday => <option key={weekday} value={weekday}>{formatWeekday(weekday, 'long')}</option>)}
+                </select>
+            </label>
+
+            <label className="flex items-center justify-between mt-4">
+                <span>{t('settings.trashRetention')}</span>
+                <select
+                    value={settings.trashRetentionDays}
+                    onChange={(e) => onSave({ trashRetentionDays: Number(e.target.value) })}
+                    className="p-2 border border-gray-300 rounded-lg"
+                >
+                    {TRASH_RETENTION_OPTIONS.map(days => <option key={days} value={days}>{t('settings.days', { count: days })}</option>)}
+                </select>
+            </label>
+
+            <h3 className="font-bold mt-4 mb-2">{t('settings.breaks')}</h3>
+            <VacationSettings vacations={settings.vacations} onSave={onSave} />
+            <label className="flex items-center justify-between mt-2">
+                <span>{t('settings.freezes')}</span>
+                <select
+                    value={settings.streakFreezesPerMonth}
+                    onChange={(e) => onSave({ streakFreezesPerMonth: Number(e.target.value) })}
+                    className="p-2 border border-gray-300 rounded-lg"
+                >
+                    {STREAK_FREEZE_OPTIONS.map(count => <option key={count} value={count}>{count === 0 ? t('settings.off') : count}</option>)}
+                </select>
+            </label>
+            <p className="text-xs text-gray-500 mt-2">
+                {t('settings.breaksHint')}
+            </p>
+
+            <h3 className="font-bold mt-4 mb-2">{t('share.title')}</h3>
+            <SharePanel {...shareProps} />
+
+            <h3 className="font-bold mt-4 mb-2">{t('settings.data')}</h3>
+            <DataTransferPanel habits={habits} habitLimit={plan.habitLimit} onImport={onImport} loadAllHabits={loadAllHabits} />
+        </div>
+    );
+};
+
+// Labels are translated as `view.<id>`.
+const CALENDAR_VIEWS = ['week', 'month', 'year', 'journal'];
+
+const CalendarViewTabs = ({ view, onChange }) => {
+    const { t } = useI18n();
+    return (
+        <div className="flex justify-center space-x-2 mb-3" role="tablist">
+            {CALENDAR_VIEWS.map(id => (
+                <button
+                    key={id}
+                    role="tab"
+                    aria-selected={view === id}
+                    onClick={() => onChange(id)}
+                    className={`px-4 py-1 rounded-full text-sm font-semibold transition-all ${
+                        view === id ? 'bg-indigo-600 text-white shadow-md' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                >
+                    {t(`view.${id}`)}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+const SyncIndicator = ({ syncStatus }) => {
+    const { t } = useI18n();
+    const { pending, syncPending, isOnline } = syncStatus;
+    let icon = <Cloud size={16} />;
+    let label = t('sync.saved');
+    if (!isOnline) {
+        icon = <CloudOff size={16} />;
+        label = t('sync.offline');
+    } else if (pending > 0) {
+        icon = <Loader2 size={16} className="animate-spin" />;
+        label = t('sync.saving', { count: pending });
+    } else if (syncPending > 0) {
+        icon = <RefreshCw size={16} className="animate-spin" />;
+        label = t('sync.syncing', { count: syncPending });
+    }
+
+    return (
+        <span className="flex items-center text-xs text-gray-500" title={label} role="status">
+            {icon}
+            <span className="ml-1 hidden sm:inline">{label}</span>
+        </span>
+    );
+};
+
+// Non-blocking notices shown under the header: offline state and writes
+// that failed permanently (their optimistic changes were rolled back).
+const StatusBanners = ({ syncStatus, onDismissError }) => {
+    const { t } = useI18n();
+    return (
+        <div className="container mx-auto px-4 max-w-xl space-y-2">
+            {!syncStatus.isOnline && (
+                <div className="flex items-center p-3 bg-yellow-100 text-yellow-800 rounded-xl text-sm" role="status">
+                    <CloudOff size={16} className="mr-2 flex-shrink-0" />
+                    {t('banner.offline')}
+                </div>
+            )}
+            {syncStatus.errors.map(error => (
+                <div key={error.id} className="flex items-center justify-between p-3 bg-red-100 text-red-800 rounded-xl text-sm" role="alert">
+                    <span className="flex items-center">
+                        <AlertTriangle size={16} className="mr-2 flex-shrink-0" />
+                        {t(error.key)} {error.reason ? t(error.reason) : error.detail}
+                    </span>
+                    <button onClick={() => onDismissError(error.id)} className="ml-2 text-red-500 hover:text-red-700" aria-label={t('common.dismiss')}>
+                        <X size={16} />
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const Header = ({ formattedUserId, authUser, syncStatus, onOpenSettings }) => {
+    const { t } = useI18n();
+    return (
+        <div className="flex justify-between items-center p-4 bg-white shadow-lg rounded-b-2xl mb-6">
+            <h1 className="text-3xl font-extrabold text-indigo-700">{t('app.title')}</h1>
+            <div className="flex items-center space-x-3">
+                <SyncIndicator syncStatus={syncStatus} />
+                {authUser && !authUser.isAnonymous ? (
+                    <div className="text-right text-xs text-gray-500">
+                        {t('header.signedInAs')}
+                        <span className="block text-gray-700 text-sm">{authUser.email || authUser.displayName}</span>
+                    </div>
+                ) : (
+                    <div className="text-right text-xs text-gray-500">
+                        {t('header.userId')}
+                        <span title={t('header.userIdHint')} className="block font-mono text-gray-700 text-sm">
+                            {formattedUserId || t('common.loading')}
+                        </span>
+                    </div>
+                )}
+                <button
+                    onClick={onOpenSettings}
+                    className="p-2 rounded-full text-gray-500 hover:bg-gray-100 transition-colors"
+                    aria-label={t('header.openSettings')}
+                >
+                    <Settings size={20} />
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// ----------------------------------------------------------------------
+// --- 6. MAIN APP COMPONENT ---
+// ----------------------------------------------------------------------
+
+const App = () => {
+    const { repository, userId, authUser, isAuthReady, formattedUserId } = useFirebaseSetup();
+    const { habits, isLoading } = useHabits(repository, userId, isAuthReady);
+    const { settings, isSettingsLoaded, saveSettings } = useSettings(repository, userId);
+    const plan = usePlan(repository, userId);
+    const syncStatus = useSyncStatus(repository);
+    const i18n = useMemo(() => createI18n(settings.language), [settings.language]);
+    const { t, formatDate } = i18n;
+    const pauses = useMemo(() => ({
+        vacations: settings.vacations,
+        streakFreezesPerMonth: settings.streakFreezesPerMonth,
+    }), [settings.vacations, settings.streakFreezesPerMonth]);
+    useReminders(activeHabitsOf(habits), pauses, t);
+    const shares = useShares(shareStore, userId, habits, pauses, isLoading);
+    const [selectedDate, setSelectedDate] = useState(getToday());
+    const [showSettings, setShowSettings] = useState(false);
+    const [calendarView, setCalendarView] = useState('week');
+
+    // "Today" depends on the timezone and day start hour, so jump back to it
+    // whenever those change.
+    useEffect(() => {
+        setSelectedDate(getToday());
+    }, [settings.timeZone, settings.dayStartHour]);
+
+    useEffect(() => {
+        document.documentElement.lang = i18n.locale;
+    }, [i18n.locale]);
+
+    const isSelectedDateToday = selectedDate === getToday();
+    const activeHabits = useMemo(() => activeHabitsOf(habits), [habits]);
+    const archivedHabits = useMemo(() => archivedHabitsOf(habits), [habits]);
+    const trashedHabits = useMemo(() => trashedHabitsOf(habits), [habits]);
+    // One toast per deletion, oldest first, so each can still be undone.
+    const [undoToasts, setUndoToasts] = useState([]);
+
+    // Purge trashed habits whose retention period has run out. Waits for the
+    // stored settings so a longer retention is never cut short by the default.
+    useEffect(() => {
+        if (!repository || !userId || !isSettingsLoaded) return;
+        expiredTrashOf(habits, Date.now(), settings.trashRetentionDays)
+            .forEach(habit => purgeHabit(repository, userId, habit.id));
+    }, [habits, settings.trashRetentionDays, isSettingsLoaded, repository, userId]);
+
+    // Challenges are decided automatically; finished ones move to the habit's
+    // results. Waits for the stored settings, which vacations and freezes
+    // come from.
+    useEffect(() => {
+        if (!repository || !userId || !isSettingsLoaded || isLoading) return;
+        const today = getToday();
+        finishedChallengesOf([...activeHabits, ...archivedHabits], today, pauses)
+            .forEach(({ habit, evaluation }) => archiveChallenge(repository, userId, habit, evaluation, today));
+    }, [activeHabits, archivedHabits, pauses, isSettingsLoaded, isLoading, repository, userId]);
+
+    const dismissUndoToast = (toastId) => setUndoToasts(toasts => toasts.filter(toast => toast.id !== toastId));
+
+    const handleDelete = (habit) => {
+        trashHabit(repository, userId, habit.id);
+        setUndoToasts(toasts => [
+            ...toasts.filter(toast => toast.habitId !== habit.id),
+            { id: crypto.randomUUID(), habitId: habit.id, message: t('toast.movedToTrash', { name: habit.name }) },
+        ]);
+    };
+
+    const handleUndoDelete = (toast) => {
+        restoreHabit(repository, userId, toast.habitId);
+        dismissUndoToast(toast.id);
+    };
+
+    // A trashed habit that was active needs a free slot to come back.
+    const canRestoreFromTrash = (habit) => habit.archived || activeHabits.length < plan.habitLimit;
+
+    const accountContext = useMemo(() => ({
+        auth,
+        repository,
+        mergeHabits: (targetUserId, existing, carried) => importHabits(repository, targetUserId, existing, carried, 'merge'),
+    }), [repository]);
+
+    return (
+        <I18nProvider value={i18n}>
+            <div className="min-h-screen bg-gray-50 font-sans">
+                <Header
+                    formattedUserId={formattedUserId}
+                    authUser={authUser}
+                    syncStatus={syncStatus}
+                    onOpenSettings={() => setShowSettings(!showSettings)}
+                />
+                <StatusBanners syncStatus={syncStatus} onDismissError={(errorId) => repository.dismissError(errorId)} />
+            
+                <div className="container mx-auto p-4 max-w-xl">
+                    {showSettings && (
+                        <SettingsPanel
+                            settings={settings}
+                            onSave={saveSettings}
+                            onClose={() => setShowSettings(false)}
+                            habits={habits}
+                            plan={plan}
+                            shareProps={{
+                                shares,
+                                habits: activeHabits,
+                                isAvailable: Boolean(shareStore),
+                                onCreate: (habitIds, title) => createShareLink(shareStore, userId, habits, habitIds, title, pauses),
+                                onRevoke: (shareId) => revokeShareLink(shareStore, shareId),
+                            }}
+                            authUser={authUser}
+                            accountContext={accountContext}
+                            onImport={async (imported, mode) => importHabits(repository, userId, await repository.fetchAll(userId), imported, mode, plan.habitLimit)}
+                            loadAllHabits={() => repository.fetchAll(userId)}
+                        />
+                    )}
+
+                    {/* Date Navigation */}
+                    <CalendarViewTabs view={calendarView} onChange={setCalendarView} />
+                    {calendarView === 'week' && (
+                        <DateNavigator 
+                            selectedDate={selectedDate} 
+                            setSelectedDate={setSelectedDate} 
+                            vacations={pauses.vacations}
+                            canSkipDay={isWithinBackfillWindow(selectedDate) && activeHabits.some(habit => getDayStatus(habit, selectedDate, pauses) === 'due')}
+                            onSkipDay={() => skipDay(repository, userId, activeHabits, selectedDate, pauses)}
+                        />
+                    )}
+                    {calendarView === 'month' && (
+                        <MonthCalendar habits={activeHabits} selectedDate={selectedDate} pauses={pauses} onSelectDate={setSelectedDate} />
+                    )}
+                    {calendarView === 'year' && (
+                        <YearHeatmap habits={activeHabits} selectedDate={selectedDate} pauses={pauses} onSelectDate={setSelectedDate} />
+                    )}
+                    {calendarView === 'journal' && (
+                        <JournalView habits={[...activeHabits, ...archivedHabits]} onSelectDate={setSelectedDate} />
+                    )}
+
+                    {/* Habit List */}
+                    <div className="mb-8">
+                        <h2 className="text-xl font-bold text-gray-700 mb-4 flex items-center">
+                            <CalendarDays size={20} className="mr-2 text-indigo-600" />
+                            {isSelectedDateToday ? t('app.habitsForToday') : t('app.habitsFor', { date: formatDate(selectedDate) })}
+                        </h2>
+                    
+                        {isLoading || !isAuthReady ? (
+                            <div className="flex justify-center items-center h-48 bg-white rounded-xl shadow-lg">
+                                <Loader2 size={32} className="animate-spin text-indigo-500" />
+                                <span className="ml-3 text-indigo-500 font-medium">{t('app.loading')}</span>
+                            </div>
+                        ) : (
+                            <div>
+                                {activeHabits.length === 0 ? (
+                                    <div className="p-6 text-center bg-gray-100 text-gray-600 rounded-xl border-dashed border-2 border-gray-300">
+                                        <p className="font-semibold">{t('app.empty')}</p>
+                                        <p className="text-sm mt-1">{t('app.emptyHint')}</p>
+                                    </div>
+                                ) : (
+                                    <SortableHabitList
+                                        habits={activeHabits}
+                                        archivedHabits={archivedHabits}
+                                        trashedHabits={trashedHabits}
+                                        repository={repository}
                                         userId={userId}
                                         selectedDate={selectedDate}
-                                        isSelectedDateToday={isSelectedDateToday}
+                                        pauses={pauses}
+                                        onDelete={handleDelete}
                                     />
-                                ))
-                            )}
-                        </div>
+                                )}
+                                <ArchivedHabits
+                                    habits={archivedHabits}
+                                    repository={repository}
+                                    userId={userId}
+                                    pauses={pauses}
+                                    canRestore={activeHabits.length < plan.habitLimit}
+                                    habitLimit={plan.habitLimit}
+                                />
+                                <TrashBin
+                                    habits={trashedHabits}
+                                    repository={repository}
+                                    userId={userId}
+                                    retentionDays={settings.trashRetentionDays}
+                                    canRestore={canRestoreFromTrash}
+                                    habitLimit={plan.habitLimit}
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Add Habit Form - Only visible when auth is ready */}
+                    {isAuthReady && !isLoading && (
+                        <AddHabitForm
+                            repository={repository}
+                            userId={userId}
+                            habitsCount={activeHabits.length}
+                            habitLimit={plan.habitLimit}
+                            order={nextOrder(habits)}
+                        />
                     )}
                 </div>
 
-                {/* Add Habit Form - Only visible when auth is ready */}
-                {isAuthReady && !isLoading && (
-                    <AddHabitForm
-                        db={db}
-                        userId={userId}
-                        habitsCount={habits.length}
-                    />
+                {undoToasts.length > 0 && (
+                    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 flex flex-col items-center space-y-2">
+                        {undoToasts.map(toast => (
+                            <UndoToast
+                                key={toast.id}
+                                message={toast.message}
+                                onUndo={() => handleUndoDelete(toast)}
+                                onDismiss={() => dismissUndoToast(toast.id)}
+                            />
+                        ))}
+                    </div>
                 )}
+
+                <footer className="py-4 text-center text-gray-400 text-sm mt-8">
+                    {usesFirebase ? t('app.footerFirebase') : t('app.footerLocal')}
+                </footer>
             </div>
+        </I18nProvider>
+    );
+};
 
-            <footer className="py-4 text-center text-gray-400 text-sm mt-8">
-                Powered by Firebase & React
-            </footer>
-        </div>
+// Share pages are public, so they render on their own: no sign-in, and the
+// viewer's browser language instead of the owner's settings.
+const Root = () => {
+    const [shareId, setShareId] = useState(() => parseShareRoute(window.location.hash));
+    const viewerI18n = useMemo(() => createI18n(detectLocale()), []);
+
+    useEffect(() => {
+        const handleHashChange = () => setShareId(parseShareRoute(window.location.hash));
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    if (!shareId) return <App />;
+    return (
+        <I18nProvider value={viewerI18n}>
+            <SharePage store={shareStore} shareId={shareId} />
+        </I18nProvider>
     );
 };
 
 export default App;
 
+// The service worker is only emitted by production builds (see vite.config.js).
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(e => console.error("Service worker registration failed: ", e));
+    });
+}
+
 const container = document.getElementById('root');
 if (container) {
     const root = createRoot(container);
-    root.render(<App />);
+    root.render(<Root />);
 }
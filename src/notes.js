@@ -0,0 +1,40 @@
+// ----------------------------------------------------------------------
+// --- DAY NOTES & RATINGS ---
+// ----------------------------------------------------------------------
+// `habit.notes` maps `YYYY-MM-DD` to `{ text, rating }`, where `rating` is a
+// 1–5 mood/effort score or null. Notes are independent of `completions`: a
+// day can have a note without a check-in and vice versa.
+
+export const NOTE_TEXT_LIMIT = 1000;
+
+// Labels are translated as `rating.<value>`.
+export const RATINGS = [1, 2, 3, 4, 5];
+
+export const isValidRating = (rating) => Number.isInteger(rating) && rating >= 1 && rating <= 5;
+
+export const getNote = (habit, date) => (habit.notes && habit.notes[date]) || null;
+
+// Returns the note to store, or null when there is nothing worth keeping
+// (which clears the day's note).
+export const normalizeNote = ({ text = '', rating = null }) => {
+    const trimmed = text.trim().slice(0, NOTE_TEXT_LIMIT);
+    const validRating = isValidRating(rating) ? rating : null;
+    if (!trimmed && validRating === null) return null;
+    return { text: trimmed, rating: validRating };
+};
+
+export const isValidNote = (note) =>
+    !!note && typeof note === 'object' &&
+    typeof (note.text ?? '') === 'string' &&
+    (note.rating === null || note.rating === undefined || isValidRating(note.rating));
+
+// Every note across `habits`, newest first. `search` matches the note text
+// case-insensitively; `habitId` limits the list to one habit.
+export const journalEntries = (habits, { search = '', habitId = '' } = {}) => {
+    const needle = search.trim().toLowerCase();
+    return habits
+        .filter(habit => !habitId || habit.id === habitId)
+        .flatMap(habit => Object.entries(habit.notes || {}).map(([date, note]) => ({ habit, date, note })))
+        .filter(({ note }) => !needle || (note.text || '').toLowerCase().includes(needle))
+        .sort((a, b) => b.date.localeCompare(a.date) || a.habit.name.localeCompare(b.habit.name));
+};
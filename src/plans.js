@@ -0,0 +1,31 @@
+// ----------------------------------------------------------------------
+// --- PLANS & HABIT LIMITS ---
+// ----------------------------------------------------------------------
+// How many active habits a user may track comes from their plan. The plan
+// table is shared by the whole app, in `/artifacts/{appId}/config/plans`:
+//   { defaultPlan: 'free', plans: { free: { habitLimit: 3 }, pro: { habitLimit: 100 } } }
+// and a user's entitlement sits in `/artifacts/{appId}/entitlements/{userId}`:
+//   { plan: 'pro' }  or  { habitLimit: 10 }  // an admin override wins over the plan
+// Both documents are written with the Admin SDK only. firestore.rules resolves
+// the limit the same way, so keep the defaults below in sync with it.
+
+export const DEFAULT_HABIT_LIMIT = 3;
+
+export const DEFAULT_PLAN_CONFIG = {
+    defaultPlan: 'free',
+    plans: {
+        free: { habitLimit: DEFAULT_HABIT_LIMIT },
+        pro: { habitLimit: 100 },
+    },
+};
+
+// Either document may be missing (null), in which case the defaults apply.
+// Returns { plan, habitLimit }.
+export const resolvePlan = (config, entitlement) => {
+    const { defaultPlan = DEFAULT_PLAN_CONFIG.defaultPlan, plans = DEFAULT_PLAN_CONFIG.plans } = config || {};
+    const { plan = defaultPlan, habitLimit } = entitlement || {};
+    const planLimit = (plans[plan] || {}).habitLimit;
+    return { plan, habitLimit: [habitLimit, planLimit].find(Number.isInteger) ?? DEFAULT_HABIT_LIMIT };
+};
+
+export const DEFAULT_PLAN = resolvePlan(null, null);
@@ -0,0 +1,32 @@
+import { getDayStatus, NO_PAUSES } from './schedule';
+
+// ----------------------------------------------------------------------
+// --- DAILY REMINDERS ---
+// ----------------------------------------------------------------------
+// A habit's optional `reminderTime` is a wall-clock `HH:MM` in the user's
+// timezone. Reminders are checked from the open app (browsers offer no
+// reliable way to schedule local notifications while it is closed), so one
+// that came due while the app was closed still fires on the next check
+// within `CATCH_UP_MINUTES`.
+
+export const CATCH_UP_MINUTES = 60;
+
+const minutesOf = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+export const isValidReminderTime = (time) => /^([01]\d|2[0-3]):[0-5]\d$/.test(time || '');
+
+// Habits whose reminder should fire now: the time has passed (within the
+// catch-up window), the habit is due `today` and neither done nor skipped, and
+// it has not been reminded today. `alreadySent` holds `${habitId}:${date}` keys.
+export const dueReminders = (habits, today, nowTime, alreadySent, pauses = NO_PAUSES) => habits.filter(habit => {
+    if (!isValidReminderTime(habit.reminderTime)) return false;
+    const elapsed = minutesOf(nowTime) - minutesOf(habit.reminderTime);
+    if (elapsed < 0 || elapsed > CATCH_UP_MINUTES) return false;
+    if (alreadySent.has(reminderKey(habit, today))) return false;
+    return getDayStatus(habit, today, pauses) === 'due';
+});
+
+export const reminderKey = (habit, date) => `${habit.id}:${date}`;
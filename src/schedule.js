@@ -0,0 +1,193 @@
+import { addDays, diffDays, isValidTimestamp, startOfWeek, toLocalDate, weekdayOf, weekdayOrder } from './dateUtils';
+import { isCompletedOn, isMarkedSkipped, completedDatesOf } from './completions';
+
+// ----------------------------------------------------------------------
+// --- HABIT SCHEDULES ---
+// ----------------------------------------------------------------------
+// A habit's `schedule` field is one of:
+//   { type: 'daily' }
+//   { type: 'weekdays', days: [1, 3, 5] }      // 0 = Sunday ... 6 = Saturday
+//   { type: 'timesPerWeek', count: 3 }
+//   { type: 'everyNDays', interval: 2 }        // counted from the creation date
+// Habits created before schedules existed have no field and are daily.
+//
+// Functions that judge a day also take the user's `pauses`:
+//   { vacations: [{ start, end }], streakFreezesPerMonth }
+// Vacation ranges (inclusive `YYYY-MM-DD` dates) skip every habit, and each
+// calendar month forgives up to `streakFreezesPerMonth` missed days per habit.
+
+export const DAILY_SCHEDULE = { type: 'daily' };
+
+export const NO_PAUSES = { vacations: [], streakFreezesPerMonth: 0 };
+
+export const getSchedule = (habit) => habit.schedule || DAILY_SCHEDULE;
+
+// Whether `schedule` has one of the shapes above, e.g. for imported habits.
+export const isValidSchedule = (schedule) => {
+    if (!schedule || typeof schedule !== 'object') return false;
+    switch (schedule.type) {
+        case 'daily':
+            return true;
+        case 'weekdays':
+            return Array.isArray(schedule.days) && schedule.days.length > 0 &&
+                schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+        case 'timesPerWeek':
+            return Number.isInteger(schedule.count) && schedule.count >= 1 && schedule.count <= 7;
+        case 'everyNDays':
+            return Number.isInteger(schedule.interval) && schedule.interval >= 1;
+        default:
+            return false;
+    }
+};
+
+export const createdDateOf = (habit, today) =>
+    isValidTimestamp(habit.createdAt) ? toLocalDate(habit.createdAt) : today;
+
+// The first day a habit can count towards its stats: its creation date, or an
+// earlier backfilled completion. When only recent history was loaded (habits
+// from Firestore carry `loadedSince`), older days are unknown rather than
+// missed, so tracking starts at the first loaded day.
+export const firstTrackedDay = (habit, today) => {
+    const earliest = completedDatesOf(habit).filter(date => date <= today).sort()[0];
+    const created = createdDateOf(habit, today);
+    let start = earliest && earliest < created ? earliest : created;
+    if (habit.loadedSince && start < habit.loadedSince) start = habit.loadedSince;
+    return start < today ? start : today;
+};
+
+export const isOnVacation = (date, vacations = []) =>
+    vacations.some(({ start, end }) => start <= date && date <= end);
+
+// Skipped days are neutral: they neither count as done nor break a streak.
+export const isSkippedOn = (habit, date, pauses = NO_PAUSES) =>
+    isMarkedSkipped(habit, date) || isOnVacation(date, pauses.vacations);
+
+// `i18n` is the value from `createI18n()`; weekdays are listed from the
+// first day of the week.
+export const describeSchedule = (schedule, { t, formatWeekday }) => {
+    switch (schedule.type) {
+        case 'weekdays':
+            return weekdayOrder().filter(d => schedule.days.includes(d)).map(d => formatWeekday(d)).join(', ');
+        case 'timesPerWeek':
+            return t('schedule.timesPerWeek', { count: schedule.count });
+        case 'everyNDays':
+            return schedule.interval === 2 ? t('schedule.everyOtherDay') : t('schedule.everyNDays', { count: schedule.interval });
+        default:
+            return t('schedule.daily');
+    }
+};
+
+const isDone = isCompletedOn;
+
+// Whether `date` is one of the habit's fixed scheduled days. For
+// `timesPerWeek` every day is eligible.
+export const isScheduledOn = (habit, date) => {
+    const schedule = getSchedule(habit);
+    switch (schedule.type) {
+        case 'weekdays':
+            return schedule.days.includes(weekdayOf(date));
+        case 'everyNDays': {
+            const elapsed = diffDays(createdDateOf(habit, date), date);
+            return elapsed >= 0 && elapsed % schedule.interval === 0;
+        }
+        default:
+            return true;
+    }
+};
+
+export const completionsInWeek = (habit, date) => {
+    const weekStart = startOfWeek(date);
+    let count = 0;
+    for (let i = 0; i < 7; i++) {
+        if (isDone(habit, addDays(weekStart, i))) count++;
+    }
+    return count;
+};
+
+// Status of a habit for the day list:
+//   'done'      - completed on `date`
+//   'skipped'   - skipped for the day, or the user is on vacation
+//   'satisfied' - not completed, but the weekly quota is already met
+//   'due'       - scheduled (or still needed this week) and not completed
+//   'not-due'   - a rest day, or a day before the habit was created
+export const getDayStatus = (habit, date, pauses = NO_PAUSES) => {
+    if (isDone(habit, date)) return 'done';
+    if (isSkippedOn(habit, date, pauses)) return 'skipped';
+    if (date < createdDateOf(habit, date)) return 'not-due';
+    const schedule = getSchedule(habit);
+    if (schedule.type === 'timesPerWeek') {
+        return completionsInWeek(habit, date) >= schedule.count ? 'satisfied' : 'due';
+    }
+    return isScheduledOn(habit, date) ? 'due' : 'not-due';
+};
+
+// Builds a classifier that labels each past day as 'done', 'missed',
+// 'skipped', 'frozen' or 'neutral' for streak and rate calculations. Only
+// 'done' and 'missed' days count; the others (rest days, skipped days, misses
+// covered by a streak freeze, today before it is over, weeks still in
+// progress) never break a streak.
+//
+// For `timesPerWeek`, a finished week with k < count completions contributes
+// (count - k) misses, placed on its last days that were neither completed nor
+// skipped, so the week's completion rate is k / count. A week only asks for
+// its share of the count, rounded down, over the days that could be used:
+// days before the habit was created and skipped or vacation days do not
+// count, so a twice-a-week habit created on the last day of a week owes
+// nothing for it, and neither does a 3x/week habit whose week was six days of
+// vacation. Streak freezes then cover the misses that remain, like any other.
+// Days before the habit was created are never missed.
+export const createDayClassifier = (habit, today, pauses = NO_PAUSES) => {
+    const schedule = getSchedule(habit);
+    const createdOn = createdDateOf(habit, today);
+    const weekMisses = new Map(); // weekStart -> Set of missed dates
+    const monthFreezes = new Map(); // YYYY-MM -> Set of frozen dates
+    const isOpen = (date) => !isDone(habit, date) && !isSkippedOn(habit, date, pauses);
+
+    const missedDaysOfWeek = (weekStart) => {
+        if (!weekMisses.has(weekStart)) {
+            const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+            const tracked = days.filter(d => d >= createdOn);
+            const usable = tracked.filter(d => isDone(habit, d) || !isSkippedOn(habit, d, pauses));
+            const target = Math.floor((schedule.count * usable.length) / 7);
+            const done = days.filter(d => isDone(habit, d)).length;
+            const shortfall = Math.max(0, target - done);
+            const open = tracked.filter(isOpen);
+            weekMisses.set(weekStart, new Set(shortfall > 0 ? open.slice(-shortfall) : []));
+        }
+        return weekMisses.get(weekStart);
+    };
+
+    const classifyUnfrozen = (date) => {
+        if (isDone(habit, date)) return 'done';
+        if (date >= today || date < createdOn) return 'neutral';
+        if (isSkippedOn(habit, date, pauses)) return 'skipped';
+        if (schedule.type === 'timesPerWeek') {
+            const weekStart = startOfWeek(date);
+            if (addDays(weekStart, 6) >= today) return 'neutral';
+            return missedDaysOfWeek(weekStart).has(date) ? 'missed' : 'neutral';
+        }
+        return isScheduledOn(habit, date) ? 'missed' : 'neutral';
+    };
+
+    // Freezes are spent automatically on the month's earliest misses.
+    const frozenDaysOfMonth = (month) => {
+        if (!monthFreezes.has(month)) {
+            const frozen = new Set();
+            const trackedFrom = firstTrackedDay(habit, today);
+            let day = `${month}-01` < trackedFrom ? trackedFrom : `${month}-01`;
+            for (; day.startsWith(month) && day < today && frozen.size < pauses.streakFreezesPerMonth; day = addDays(day, 1)) {
+                if (classifyUnfrozen(day) === 'missed') frozen.add(day);
+            }
+            monthFreezes.set(month, frozen);
+        }
+        return monthFreezes.get(month);
+    };
+
+    return (date) => {
+        const state = classifyUnfrozen(date);
+        if (state === 'missed' && pauses.streakFreezesPerMonth > 0 && frozenDaysOfMonth(date.slice(0, 7)).has(date)) {
+            return 'frozen';
+        }
+        return state;
+    };
+};
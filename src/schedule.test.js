@@ -0,0 +1,175 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { configureCalendar, DEFAULT_CALENDAR_SETTINGS } from './dateUtils';
+import { createDayClassifier, getDayStatus, isOnVacation, isScheduledOn, isSkippedOn, isValidSchedule, NO_PAUSES } from './schedule';
+import { SKIPPED } from './completions';
+
+// Weeks start on Monday; 2026-10-05 is a Monday.
+beforeEach(() => configureCalendar({ timeZone: 'UTC', dayStartHour: 0, weekStartsOn: 1 }));
+afterEach(() => configureCalendar(DEFAULT_CALENDAR_SETTINGS));
+
+const WEEK = ['2026-10-05', '2026-10-06', '2026-10-07', '2026-10-08', '2026-10-09', '2026-10-10', '2026-10-11'];
+const TODAY = '2026-10-19';
+
+const habitWith = (schedule, completions = {}) => ({
+    createdAt: '2026-09-01T08:00:00Z',
+    schedule,
+    completions,
+});
+
+const statesOf = (habit, days, pauses = NO_PAUSES) => days.map(createDayClassifier(habit, TODAY, pauses));
+
+describe('times-per-week habits with skipped and vacation days', () => {
+    const threeTimes = { type: 'timesPerWeek', count: 3 };
+
+    it('owes nothing for a week that was six days of vacation', () => {
+        const pauses = { vacations: [{ start: '2026-10-05', end: '2026-10-10' }], streakFreezesPerMonth: 0 };
+        expect(statesOf(habitWith(threeTimes), WEEK, pauses)).not.toContain('missed');
+    });
+
+    it('owes nothing for a week with five skipped days', () => {
+        const skipped = Object.fromEntries(WEEK.slice(0, 5).map(day => [day, SKIPPED]));
+        expect(statesOf(habitWith(threeTimes, skipped), WEEK)).not.toContain('missed');
+    });
+
+    it('asks for its share of the count over the days left', () => {
+        // Four usable days: 3 * 4 / 7 rounds down to one completion.
+        const pauses = { vacations: [{ start: '2026-10-05', end: '2026-10-07' }], streakFreezesPerMonth: 0 };
+        expect(statesOf(habitWith(threeTimes), WEEK, pauses).filter(state => state === 'missed')).toHaveLength(1);
+        expect(statesOf(habitWith(threeTimes, { '2026-10-08': true }), WEEK, pauses)).not.toContain('missed');
+    });
+
+    it('still counts a full week that fell short', () => {
+        const states = statesOf(habitWith(threeTimes, { '2026-10-05': true }), WEEK);
+        expect(states.filter(state => state === 'missed')).toEqual(['missed', 'missed']);
+        expect(states.slice(-2)).toEqual(['missed', 'missed']);
+    });
+});
+
+describe('isValidSchedule', () => {
+    it('accepts each schedule type', () => {
+        expect(isValidSchedule({ type: 'daily' })).toBe(true);
+        expect(isValidSchedule({ type: 'weekdays', days: [0, 6] })).toBe(true);
+        expect(isValidSchedule({ type: 'timesPerWeek', count: 7 })).toBe(true);
+        expect(isValidSchedule({ type: 'everyNDays', interval: 1 })).toBe(true);
+    });
+
+    it('rejects unknown types and out-of-range fields', () => {
+        expect(isValidSchedule(null)).toBe(false);
+        expect(isValidSchedule('daily')).toBe(false);
+        expect(isValidSchedule({ type: 'monthly' })).toBe(false);
+        expect(isValidSchedule({ type: 'weekdays', days: [] })).toBe(false);
+        expect(isValidSchedule({ type: 'weekdays', days: [7] })).toBe(false);
+        expect(isValidSchedule({ type: 'weekdays', days: [1.5] })).toBe(false);
+        expect(isValidSchedule({ type: 'timesPerWeek', count: 0 })).toBe(false);
+        expect(isValidSchedule({ type: 'timesPerWeek', count: 8 })).toBe(false);
+        expect(isValidSchedule({ type: 'everyNDays', interval: 0 })).toBe(false);
+        expect(isValidSchedule({ type: 'everyNDays', interval: '2' })).toBe(false);
+    });
+});
+
+describe('scheduled days', () => {
+    it('schedules daily habits and habits without a schedule on every day', () => {
+        expect(WEEK.every(day => isScheduledOn(habitWith({ type: 'daily' }), day))).toBe(true);
+        expect(WEEK.every(day => isScheduledOn({ createdAt: '2026-09-01T08:00:00Z' }, day))).toBe(true);
+    });
+
+    it('schedules weekday habits on the chosen weekdays only', () => {
+        const habit = habitWith({ type: 'weekdays', days: [1, 3, 0] });
+        expect(WEEK.filter(day => isScheduledOn(habit, day))).toEqual(['2026-10-05', '2026-10-07', '2026-10-11']);
+    });
+
+    it('counts every-n-days habits from the creation date', () => {
+        const habit = { ...habitWith({ type: 'everyNDays', interval: 3 }), createdAt: '2026-10-06T08:00:00Z' };
+        expect(WEEK.filter(day => isScheduledOn(habit, day))).toEqual(['2026-10-06', '2026-10-09']);
+    });
+
+    it('reports the day status for the day list', () => {
+        const weekdays = habitWith({ type: 'weekdays', days: [1] }, { '2026-10-12': true });
+        expect(getDayStatus(weekdays, '2026-10-12')).toBe('done');
+        expect(getDayStatus(weekdays, '2026-10-19')).toBe('due');
+        expect(getDayStatus(weekdays, '2026-10-20')).toBe('not-due');
+        expect(getDayStatus(weekdays, '2026-08-31')).toBe('not-due');
+
+        const twice = habitWith({ type: 'timesPerWeek', count: 2 }, { '2026-10-05': true, '2026-10-06': true });
+        expect(getDayStatus(twice, '2026-10-07')).toBe('satisfied');
+        expect(getDayStatus(twice, '2026-10-12')).toBe('due');
+    });
+});
+
+describe('day classifier by schedule type', () => {
+    it('misses every open day of a daily habit', () => {
+        const habit = habitWith({ type: 'daily' }, { '2026-10-05': true, '2026-10-07': true });
+        expect(statesOf(habit, WEEK.slice(0, 3))).toEqual(['done', 'missed', 'done']);
+    });
+
+    it('leaves rest days of a weekday habit neutral', () => {
+        const habit = habitWith({ type: 'weekdays', days: [1, 3] }, { '2026-10-05': true });
+        expect(statesOf(habit, WEEK.slice(0, 4))).toEqual(['done', 'neutral', 'missed', 'neutral']);
+    });
+
+    it('places a short week\'s misses on its last open days', () => {
+        const habit = habitWith({ type: 'timesPerWeek', count: 3 }, { '2026-10-05': true });
+        expect(statesOf(habit, WEEK)).toEqual(['done', 'neutral', 'neutral', 'neutral', 'neutral', 'missed', 'missed']);
+    });
+
+    it('keeps a times-per-week habit neutral while its week is still running', () => {
+        const habit = habitWith({ type: 'timesPerWeek', count: 3 });
+        const classify = createDayClassifier(habit, '2026-10-22');
+        expect(['2026-10-19', '2026-10-20', '2026-10-21'].map(classify)).toEqual(['neutral', 'neutral', 'neutral']);
+        expect(classify('2026-10-18')).toBe('missed');
+    });
+
+    it('misses only the scheduled days of an every-n-days habit', () => {
+        const habit = { ...habitWith({ type: 'everyNDays', interval: 2 }, { '2026-10-05': true }), createdAt: '2026-10-05T08:00:00Z' };
+        expect(statesOf(habit, WEEK.slice(0, 4))).toEqual(['done', 'neutral', 'missed', 'neutral']);
+    });
+
+    it('never misses a day before the habit was created or today', () => {
+        const habit = { ...habitWith({ type: 'daily' }), createdAt: '2026-10-07T08:00:00Z' };
+        expect(statesOf(habit, ['2026-10-06', '2026-10-07', TODAY])).toEqual(['neutral', 'missed', 'neutral']);
+    });
+});
+
+describe('skipped days, vacations and streak freezes', () => {
+    const vacation = { start: '2026-10-06', end: '2026-10-08' };
+
+    it('treats vacation ranges as inclusive', () => {
+        expect(isOnVacation('2026-10-05', [vacation])).toBe(false);
+        expect(isOnVacation('2026-10-06', [vacation])).toBe(true);
+        expect(isOnVacation('2026-10-08', [vacation])).toBe(true);
+        expect(isOnVacation('2026-10-09', [vacation])).toBe(false);
+        expect(isOnVacation('2026-10-06')).toBe(false);
+    });
+
+    it('skips a day marked as skipped or on vacation', () => {
+        const habit = habitWith({ type: 'daily' }, { '2026-10-05': SKIPPED });
+        const pauses = { vacations: [vacation], streakFreezesPerMonth: 0 };
+        expect(isSkippedOn(habit, '2026-10-05')).toBe(true);
+        expect(isSkippedOn(habit, '2026-10-07', pauses)).toBe(true);
+        expect(isSkippedOn(habit, '2026-10-09', pauses)).toBe(false);
+        expect(getDayStatus(habit, '2026-10-07', pauses)).toBe('skipped');
+    });
+
+    it('lets a completion on a vacation day count as done', () => {
+        const habit = habitWith({ type: 'daily' }, { '2026-10-07': true });
+        const pauses = { vacations: [vacation], streakFreezesPerMonth: 0 };
+        expect(getDayStatus(habit, '2026-10-07', pauses)).toBe('done');
+        expect(statesOf(habit, WEEK.slice(0, 4), pauses)).toEqual(['missed', 'skipped', 'done', 'skipped']);
+    });
+
+    it('spends freezes on the earliest misses of each month', () => {
+        const habit = habitWith({ type: 'daily' }, { '2026-10-07': true });
+        const pauses = { vacations: [], streakFreezesPerMonth: 2 };
+        expect(statesOf(habit, ['2026-09-01', '2026-09-02', '2026-09-03'], pauses)).toEqual(['frozen', 'frozen', 'missed']);
+        expect(statesOf(habit, WEEK.slice(0, 4), pauses)).toEqual(['missed', 'missed', 'done', 'missed']);
+        expect(statesOf(habit, ['2026-10-01', '2026-10-02', '2026-10-03'], pauses)).toEqual(['frozen', 'frozen', 'missed']);
+    });
+
+    it('does not spend freezes on skipped or rest days', () => {
+        const habit = habitWith({ type: 'weekdays', days: [3] }, { '2026-10-05': SKIPPED });
+        const pauses = { vacations: [], streakFreezesPerMonth: 1 };
+        // The first Wednesday of October 2026 is the 7th.
+        expect(statesOf(habit, ['2026-10-05', '2026-10-06', '2026-10-07', '2026-10-14'], pauses))
+            .toEqual(['skipped', 'neutral', 'frozen', 'missed']);
+    });
+});
@@ -0,0 +1,51 @@
+// ----------------------------------------------------------------------
+// --- SERVICE WORKER (PRECACHE, OFFLINE SHELL & REMINDER CLICKS) ---
+// ----------------------------------------------------------------------
+// Not bundled with the app: vite.config.js emits this file as /sw.js and
+// replaces the two placeholders below with the build's asset list and a
+// version derived from it.
+
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST;
+const CACHE_NAME = 'habit-forge-__CACHE_VERSION__';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Firebase and other cross-origin traffic is never cached here.
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        // Network first for the page itself, so deployments show up; the
+        // precached shell keeps the app loading offline.
+        event.respondWith(fetch(request).catch(() => caches.match('/')));
+        return;
+    }
+
+    // Build assets have content hashes in their names, so cache first is safe.
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => 'focus' in client);
+            return open ? open.focus() : self.clients.openWindow('/');
+        })
+    );
+});
@@ -0,0 +1,69 @@
+import { addDays } from './dateUtils';
+import { isQuantityHabit } from './completions';
+import { createDayClassifier, getSchedule, NO_PAUSES } from './schedule';
+import { currentStreak, longestStreak } from './stats';
+import { isTrashed } from './habitList';
+
+// ----------------------------------------------------------------------
+// --- READ-ONLY SHARE PAGES ---
+// ----------------------------------------------------------------------
+// A share publishes chosen habits to `/artifacts/{appId}/shares/{shareId}`,
+// readable by anyone who has the link and by nobody else: the ID is a random
+// UUID and shares cannot be listed. The document holds a snapshot rather than
+// the habits themselves, so notes, history and reminders never leave the
+// owner's private data:
+//   { ownerId, title, habitIds, asOf, habits: [sharedHabit], createdAt, updatedAt }
+// The owner's app refreshes the snapshot while it is open; deleting the
+// document revokes the link.
+
+// How many days of the calendar a share page shows, ending at `asOf`.
+export const SHARE_RECENT_DAYS = 28;
+
+// Share pages live at `#/share/{shareId}`. The hash keeps the route working on
+// any static host and keeps the ID out of server logs and referrers.
+export const shareUrl = (shareId) => `${window.location.origin}/#/share/${shareId}`;
+
+export const parseShareRoute = (hash) => {
+    const match = /^#\/share\/([\w-]+)$/.exec(hash || '');
+    return match ? match[1] : null;
+};
+
+export const recentDays = (asOf, count = SHARE_RECENT_DAYS) =>
+    Array.from({ length: count }, (_, i) => addDays(asOf, i - count + 1));
+
+// The public part of one habit. `recent` lists the day states of
+// `createDayClassifier` for `recentDays(today)`, oldest first.
+export const sharedHabitOf = (habit, today, pauses = NO_PAUSES) => {
+    const classify = createDayClassifier(habit, today, pauses);
+    return {
+        id: habit.id,
+        name: habit.name,
+        schedule: getSchedule(habit),
+        ...(isQuantityHabit(habit) ? { type: 'quantity', unit: habit.unit, target: habit.target } : { type: 'boolean' }),
+        currentStreak: currentStreak(habit, today, pauses),
+        longestStreak: longestStreak(habit, today, pauses),
+        recent: recentDays(today).map(classify),
+    };
+};
+
+// Habits keep their chosen order; ones that were trashed or purged drop out.
+export const buildShareSnapshot = (habits, habitIds, today, pauses = NO_PAUSES) => ({
+    asOf: today,
+    habits: habitIds
+        .map(habitId => habits.find(habit => habit.id === habitId))
+        .filter(habit => habit && !isTrashed(habit))
+        .map(habit => sharedHabitOf(habit, today, pauses)),
+});
+
+// Firestore does not keep the key order of maps, so snapshots are compared
+// with their keys sorted.
+const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+    }
+    return value;
+};
+
+export const isSameSnapshot = (share, snapshot) =>
+    share.asOf === snapshot.asOf && JSON.stringify(canonical(share.habits)) === JSON.stringify(canonical(snapshot.habits));
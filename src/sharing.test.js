@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { recentDays, sharedHabitOf, SHARE_RECENT_DAYS } from './sharing';
+
+describe('share snapshot of a new habit', () => {
+    const today = '2026-10-19';
+    const days = recentDays(today);
+    const stateOn = (shared, date) => shared.recent[days.indexOf(date)];
+
+    it('shows the days before the habit was created as neutral, not missed', () => {
+        const shared = sharedHabitOf({
+            id: 'h1',
+            name: 'Read',
+            createdAt: '2026-10-15T12:00:00Z',
+            schedule: { type: 'daily' },
+            completions: { '2026-10-15': true, '2026-10-17': true },
+        }, today);
+        expect(shared.recent).toHaveLength(SHARE_RECENT_DAYS);
+        expect(shared.recent.slice(0, days.indexOf('2026-10-15')).every(state => state === 'neutral')).toBe(true);
+        expect(stateOn(shared, '2026-10-15')).toBe('done');
+        expect(stateOn(shared, '2026-10-16')).toBe('missed');
+        expect(stateOn(shared, today)).toBe('neutral');
+    });
+
+    it('keeps check-ins backfilled before the creation date', () => {
+        const shared = sharedHabitOf({
+            id: 'h1',
+            name: 'Read',
+            createdAt: '2026-10-15T12:00:00Z',
+            schedule: { type: 'timesPerWeek', count: 3 },
+            completions: { '2026-10-10': true },
+        }, today);
+        expect(stateOn(shared, '2026-10-10')).toBe('done');
+        const beforeCreation = shared.recent.slice(0, days.indexOf('2026-10-15'));
+        expect(beforeCreation.filter(state => state !== 'neutral')).toEqual(['done']);
+    });
+});
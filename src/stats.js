@@ -0,0 +1,103 @@
+import { addDays, diffDays, weekdayOf } from './dateUtils';
+import { createDayClassifier, createdDateOf, firstTrackedDay, NO_PAUSES } from './schedule';
+import { completedDatesOf } from './completions';
+
+// ----------------------------------------------------------------------
+// --- HABIT STATISTICS (PURE FUNCTIONS) ---
+// ----------------------------------------------------------------------
+// All functions take a habit ({ completions, createdAt, schedule }) and
+// `today` as a `YYYY-MM-DD` string, plus the user's `pauses` (see schedule.js).
+// Only scheduled days count: rest days, skipped and frozen days and days still
+// in progress are neutral and never count as misses. Days before the loaded
+// history (see `firstTrackedDay`) are not counted at all.
+
+export const RATE_WINDOWS = [7, 30, 90];
+
+const completedDates = (habit, today) => {
+    const start = firstTrackedDay(habit, today);
+    return completedDatesOf(habit).filter(date => start <= date && date <= today);
+};
+
+const counts = (state) => state === 'done' || state === 'missed';
+
+// Consecutive completed scheduled days ending today. Neutral days (including
+// an unfinished today) are skipped over rather than breaking the streak.
+export const currentStreak = (habit, today, pauses = NO_PAUSES) => {
+    const classify = createDayClassifier(habit, today, pauses);
+    const start = firstTrackedDay(habit, today);
+    let streak = 0;
+    for (let day = today; day >= start; day = addDays(day, -1)) {
+        const state = classify(day);
+        if (state === 'missed') break;
+        if (state === 'done') streak++;
+    }
+    return streak;
+};
+
+export const longestStreak = (habit, today, pauses = NO_PAUSES) => {
+    const classify = createDayClassifier(habit, today, pauses);
+    let longest = 0;
+    let run = 0;
+    for (let day = firstTrackedDay(habit, today); day <= today; day = addDays(day, 1)) {
+        const state = classify(day);
+        if (state === 'missed') run = 0;
+        if (state === 'done') longest = Math.max(longest, ++run);
+    }
+    return longest;
+};
+
+export const totalCompletions = (habit, today) => completedDates(habit, today).length;
+
+// Share (0..1) of scheduled days completed in the last `windowDays` days,
+// including today, or null when no day in the window was due yet.
+export const completionRate = (habit, today, windowDays, pauses = NO_PAUSES) => {
+    const classify = createDayClassifier(habit, today, pauses);
+    const trackedDays = Math.min(windowDays, diffDays(firstTrackedDay(habit, today), today) + 1);
+    let done = 0;
+    let due = 0;
+    for (let i = 0; i < trackedDays; i++) {
+        const state = classify(addDays(today, -i));
+        if (state === 'done') done++;
+        if (counts(state)) due++;
+    }
+    return due > 0 ? done / due : null;
+};
+
+// Per weekday (index 0 = Sunday) how many due days were completed.
+export const weekdayBreakdown = (habit, today, pauses = NO_PAUSES) => {
+    const classify = createDayClassifier(habit, today, pauses);
+    const breakdown = Array.from({ length: 7 }, () => ({ completed: 0, total: 0 }));
+    for (let day = firstTrackedDay(habit, today); day <= today; day = addDays(day, 1)) {
+        const state = classify(day);
+        if (!counts(state)) continue;
+        const bucket = breakdown[weekdayOf(day)];
+        bucket.total++;
+        if (state === 'done') bucket.completed++;
+    }
+    return breakdown;
+};
+
+// Streak freezes spent so far in the month of `today`.
+export const freezesUsedThisMonth = (habit, today, pauses = NO_PAUSES) => {
+    const classify = createDayClassifier(habit, today, pauses);
+    let used = 0;
+    for (let day = `${today.slice(0, 7)}-01`; day < today; day = addDays(day, 1)) {
+        if (classify(day) === 'frozen') used++;
+    }
+    return used;
+};
+
+// The first day stats cover when the habit is older than its loaded history,
+// otherwise null.
+export const statsSince = (habit, today) =>
+    habit.loadedSince && habit.loadedSince > createdDateOf(habit, today) ? habit.loadedSince : null;
+
+export const computeHabitStats = (habit, today, pauses = NO_PAUSES) => ({
+    currentStreak: currentStreak(habit, today, pauses),
+    longestStreak: longestStreak(habit, today, pauses),
+    totalCompletions: totalCompletions(habit, today),
+    rates: Object.fromEntries(RATE_WINDOWS.map(days => [days, completionRate(habit, today, days, pauses)])),
+    weekdays: weekdayBreakdown(habit, today, pauses),
+    freezesUsed: freezesUsedThisMonth(habit, today, pauses),
+    since: statsSince(habit, today),
+});
@@ -0,0 +1,79 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { addDays, configureCalendar, DEFAULT_CALENDAR_SETTINGS } from './dateUtils';
+import { completionRate, computeHabitStats, currentStreak, longestStreak, totalCompletions, weekdayBreakdown } from './stats';
+
+describe('stats of a habit older than its loaded history', () => {
+    const habit = {
+        createdAt: '2024-01-01T08:00:00Z',
+        schedule: { type: 'daily' },
+        completions: { '2026-10-17': true, '2026-10-18': true, '2026-10-19': true },
+        loadedSince: '2026-10-17',
+    };
+
+    it('does not count the days before the loaded range as missed', () => {
+        const stats = computeHabitStats(habit, '2026-10-19');
+        expect(stats.currentStreak).toBe(3);
+        expect(stats.longestStreak).toBe(3);
+        expect(stats.rates[30]).toBe(1);
+        expect(stats.since).toBe('2026-10-17');
+    });
+
+    it('reports no limit when the whole history is loaded', () => {
+        expect(computeHabitStats({ ...habit, loadedSince: '2023-06-01' }, '2026-10-19').since).toBeNull();
+        expect(computeHabitStats({ ...habit, loadedSince: undefined }, '2026-10-19').since).toBeNull();
+    });
+});
+
+describe('streaks, rates and weekday breakdown', () => {
+    beforeEach(() => configureCalendar({ timeZone: 'UTC', dayStartHour: 0, weekStartsOn: 1 }));
+    afterEach(() => configureCalendar(DEFAULT_CALENDAR_SETTINGS));
+
+    const today = '2026-10-19'; // a Monday
+    const daysBefore = (count, end = today) => Array.from({ length: count }, (_, i) => addDays(end, -i));
+    const dailyHabit = (dates, createdAt = '2026-09-01T08:00:00Z') => ({
+        createdAt,
+        schedule: { type: 'daily' },
+        completions: Object.fromEntries(dates.map(date => [date, true])),
+    });
+
+    it('counts the current streak through an unfinished today', () => {
+        const habit = dailyHabit(daysBefore(4, '2026-10-18'));
+        expect(currentStreak(habit, today)).toBe(4);
+        expect(currentStreak({ ...habit, completions: { ...habit.completions, [today]: true } }, today)).toBe(5);
+    });
+
+    it('breaks the current streak on a missed day and keeps the longest one', () => {
+        const habit = dailyHabit([...daysBefore(2, '2026-10-18'), ...daysBefore(6, '2026-10-15')]);
+        expect(currentStreak(habit, today)).toBe(2);
+        expect(longestStreak(habit, today)).toBe(6);
+    });
+
+    it('skips over rest days of a weekday schedule', () => {
+        // Mondays, Wednesdays and Fridays for two weeks.
+        const habit = {
+            ...dailyHabit(['2026-10-05', '2026-10-07', '2026-10-09', '2026-10-12', '2026-10-14', '2026-10-16']),
+            schedule: { type: 'weekdays', days: [1, 3, 5] },
+        };
+        expect(currentStreak(habit, today)).toBe(6);
+        expect(longestStreak(habit, today)).toBe(6);
+    });
+
+    it('rates completed due days over each window and nothing before the habit existed', () => {
+        const habit = dailyHabit(daysBefore(5, '2026-10-18'), '2026-10-09T08:00:00Z');
+        // Ten due days from 2026-10-09 to 2026-10-18; today is still open.
+        expect(completionRate(habit, today, 7)).toBeCloseTo(5 / 6);
+        expect(completionRate(habit, today, 30)).toBe(0.5);
+        expect(completionRate(dailyHabit([], '2026-10-19T08:00:00Z'), today, 7)).toBeNull();
+        expect(totalCompletions(habit, today)).toBe(5);
+    });
+
+    it('breaks down due and completed days per weekday', () => {
+        const habit = dailyHabit(['2026-10-12', '2026-10-13'], '2026-10-12T08:00:00Z');
+        const breakdown = weekdayBreakdown(habit, today);
+        expect(breakdown[1]).toEqual({ completed: 1, total: 1 }); // Monday 12th; today is open
+        expect(breakdown[2]).toEqual({ completed: 1, total: 1 });
+        expect(breakdown[3]).toEqual({ completed: 0, total: 1 });
+        expect(breakdown[0]).toEqual({ completed: 0, total: 1 });
+        expect(breakdown.reduce((sum, day) => sum + day.total, 0)).toBe(7);
+    });
+});
@@ -0,0 +1,60 @@
+// ----------------------------------------------------------------------
+// --- WRITE FAILURES (CLASSIFICATION & BACKOFF) ---
+// ----------------------------------------------------------------------
+// Shared by the mutation queue and the offline-first sync queue: both retry
+// transient failures with exponential backoff and drop permanent ones.
+
+const BASE_RETRY_MS = 1000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+// Firestore keeps offline writes pending instead of failing them; give up
+// waiting after this long and retry later. Every operation is idempotent, so a
+// write that landed after all is safe to repeat; that includes the usage count
+// (see firestoreRepository.js).
+export const OPERATION_TIMEOUT_MS = 15000;
+
+// Firestore error codes that retrying will not fix.
+const PERMANENT_ERROR_CODES = [
+    'permission-denied',
+    'invalid-argument',
+    'not-found',
+    'already-exists',
+    'failed-precondition',
+    'out-of-range',
+    'resource-exhausted',
+];
+
+// Whether the browser thinks it has a network connection (always true outside one).
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+export const isTransient = (error) => {
+    if (!isOnline()) return true;
+    const code = String(error && error.code || '').replace(/^firestore\//, '');
+    return code ? !PERMANENT_ERROR_CODES.includes(code) : error && error.name === 'TimeoutError';
+};
+
+export const retryDelay = (attempts) =>
+    Math.min(MAX_RETRY_MS, BASE_RETRY_MS * 2 ** attempts) * (0.5 + Math.random() / 2);
+
+export const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+        const error = new Error(`Write did not complete within ${ms}ms.`);
+        error.name = 'TimeoutError';
+        reject(error);
+    }, ms);
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+const FAILED_ACTIONS = ['create', 'update', 'remove', 'completion', 'note', 'settings'];
+
+// A dropped write for the UI to show: `key` is the catalog message for what
+// failed, and `reason` the one for why, unless Firestore's own `detail`
+// message is all there is to say.
+export const describeFailure = (op, error) => {
+    const isDenied = String(error && error.code || '').includes('permission-denied');
+    const detail = (!isDenied && error && error.message) || null;
+    return {
+        key: `writeError.${FAILED_ACTIONS.includes(op.type) ? op.type : 'update'}`,
+        reason: isDenied ? 'writeError.permissionDenied' : detail ? null : 'writeError.unknown',
+        detail,
+    };
+};
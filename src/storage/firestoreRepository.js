@@ -0,0 +1,315 @@
+import {
+    doc,
+    onSnapshot,
+    collection,
+    query,
+    where,
+    documentId,
+    getDocs,
+    setDoc,
+    writeBatch,
+    arrayUnion,
+    deleteField,
+    runTransaction,
+} from 'firebase/firestore';
+import { isActive } from '../habitList';
+import { resolvePlan } from '../plans';
+
+// ----------------------------------------------------------------------
+// --- FIRESTORE HABIT REPOSITORY ---
+// ----------------------------------------------------------------------
+// Each habit is a document under `habits/`, and each habit-day lives in its
+// own document under `habits/{habitId}/days/{YYYY-MM-DD}`:
+//   { value, note: { text, rating }, history: [ { date, from, to, changedBy, changedAt } ] }
+// Writing one day never touches another day, so concurrent writers on
+// different days cannot overwrite each other, and the habit document no
+// longer grows with its history. Subscribers still receive habits with the
+// familiar `completions` and `notes` maps and `history` list, assembled from the day
+// documents within the loaded date range. When that range is limited, each
+// habit also carries `loadedSince`, its first loaded day, so that stats do not
+// mistake older days for misses (see schedule.js `firstTrackedDay`).
+//
+// `users/{userId}/meta/usage` counts the user's active habits as
+// `{ activeHabits, lastHabitId }`. It starts at zero, and a habit's `counted`
+// field records whether the count includes it, which is kept equal to whether
+// the habit is active. Every write that changes `counted` moves the count in
+// the same transaction and names the habit, which is how firestore.rules
+// enforces the plan's habit limit (see plans.js). The change is worked out
+// from the stored habit inside the transaction, so a retried write that has
+// already landed leaves the count alone. Habits from before the counter have
+// no `counted` field; they are counted in, one at a time, before the user's
+// first counted write.
+
+export const habitsCollectionPath = (appId, userId) => `/artifacts/${appId}/users/${userId}/habits`;
+export const daysCollectionPath = (appId, userId, habitId) => `${habitsCollectionPath(appId, userId)}/${habitId}/days`;
+export const settingsDocPath = (appId, userId) => `/artifacts/${appId}/users/${userId}/settings/preferences`;
+export const usageDocPath = (appId, userId) => `/artifacts/${appId}/users/${userId}/meta/usage`;
+export const planConfigDocPath = (appId) => `/artifacts/${appId}/config/plans`;
+export const entitlementDocPath = (appId, userId) => `/artifacts/${appId}/entitlements/${userId}`;
+
+// Firestore rejects batches with more than 500 writes.
+const BATCH_LIMIT = 500;
+
+const commitInChunks = async (db, writes) => {
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+        await batch.commit();
+    }
+};
+
+const sortByOrder = (habits) => habits.sort((a, b) => a.order - b.order);
+
+// Combines a habit document with its day documents. Legacy `completions` and
+// `history` fields (from before per-day storage) are still honoured until the
+// document has been migrated.
+const assembleHabit = (habitDoc, dayDocs, loadedSince = null) => {
+    const { completions: legacyCompletions = {}, history: legacyHistory = [], counted, ...data } = habitDoc.data();
+    const completions = { ...legacyCompletions };
+    const history = [...legacyHistory];
+    const notes = {};
+    dayDocs.forEach(day => {
+        const { value, note, history: dayHistory = [] } = day.data();
+        if (value) {
+            completions[day.id] = value;
+        } else {
+            delete completions[day.id];
+        }
+        if (note) notes[day.id] = note;
+        history.push(...dayHistory);
+    });
+    history.sort((a, b) => a.changedAt.localeCompare(b.changedAt));
+    return { id: habitDoc.id, ...data, completions, history, notes, ...(loadedSince ? { loadedSince } : {}) };
+};
+
+const needsMigration = (habitDoc) => {
+    const { completions, history } = habitDoc.data();
+    return completions !== undefined || history !== undefined;
+};
+
+// `historySince` (YYYY-MM-DD, optional) limits which day documents are loaded.
+export const createFirestoreRepository = ({ db, appId, historySince }) => {
+    const habitsCollection = (userId) => collection(db, habitsCollectionPath(appId, userId));
+    const habitRef = (userId, habitId) => doc(db, habitsCollectionPath(appId, userId), habitId);
+    const dayRef = (userId, habitId, date) => doc(db, daysCollectionPath(appId, userId, habitId), date);
+    const usageRef = (userId) => doc(db, usageDocPath(appId, userId));
+
+    const daysQuery = (userId, habitId, since = null) => {
+        const days = collection(db, daysCollectionPath(appId, userId, habitId));
+        return since ? query(days, where(documentId(), '>=', since)) : query(days);
+    };
+
+    // One write per day, so maps of completions and notes can be written in
+    // batches. A day's value is only written when `completions` is given, so
+    // saving notes alone never clears a check-in.
+    const dayWrites = (userId, habitId, completions, history = [], notes = {}) => {
+        const dates = new Set([...Object.keys(completions || {}), ...Object.keys(notes), ...history.map(entry => entry.date)]);
+        return [...dates].map(date => {
+            const entries = history.filter(entry => entry.date === date);
+            return (batch) => batch.set(dayRef(userId, habitId, date), {
+                ...(completions ? { value: completions[date] ?? null } : {}),
+                ...(notes[date] ? { note: notes[date] } : {}),
+                ...(entries.length > 0 ? { history: arrayUnion(...entries) } : {}),
+            }, { merge: true });
+        });
+    };
+
+    // Moves a legacy document's `completions` map and `history` array into
+    // day documents, then drops the fields from the habit document.
+    const migrateHabit = (userId, habitDoc) => {
+        const { completions, history } = habitDoc.data();
+        return commitInChunks(db, [
+            ...dayWrites(userId, habitDoc.id, completions || {}, history),
+            (batch) => batch.update(habitRef(userId, habitDoc.id), { completions: deleteField(), history: deleteField() }),
+        ]);
+    };
+
+    // Runs `write(transaction, before)`, which writes the habit and returns its
+    // data after the write (null once deleted), and moves the usage count by
+    // the change in `counted` between the stored habit and that data.
+    const writeCounted = (userId, habitId, write) => runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(habitRef(userId, habitId));
+        const usage = await transaction.get(usageRef(userId));
+        const before = snapshot.exists() ? snapshot.data() : null;
+        const after = write(transaction, before);
+        const change = (after && after.counted ? 1 : 0) - (before && before.counted ? 1 : 0);
+        if (change !== 0) {
+            transaction.set(usageRef(userId), { activeHabits: usage.data().activeHabits + change, lastHabitId: habitId });
+        }
+    });
+
+    // Creates the usage document at zero, then counts in habits from before
+    // it. Past the plan's limit the rules refuse to count more; those habits
+    // stay as they are, and the full count keeps new ones from being added.
+    const countedUsers = new Set();
+    const ensureUsage = async (userId) => {
+        if (countedUsers.has(userId)) return;
+        await runTransaction(db, async (transaction) => {
+            if (!(await transaction.get(usageRef(userId))).exists()) transaction.set(usageRef(userId), { activeHabits: 0 });
+        });
+        const snapshot = await getDocs(query(habitsCollection(userId)));
+        const uncounted = snapshot.docs.filter(habitDoc => !('counted' in habitDoc.data()));
+        try {
+            for (const habitDoc of uncounted) {
+                await writeCounted(userId, habitDoc.id, (transaction, before) => {
+                    if (!before || 'counted' in before) return before;
+                    transaction.update(habitRef(userId, habitDoc.id), { counted: isActive(before) });
+                    return { ...before, counted: isActive(before) };
+                });
+            }
+        } catch (e) {
+            if (e.code !== 'permission-denied') throw e;
+            console.error("Habit limit reached while counting existing habits: ", e);
+        }
+        countedUsers.add(userId);
+    };
+
+    const migrating = new Set();
+    const migrateOnce = (userId, habitDoc) => {
+        if (!needsMigration(habitDoc) || migrating.has(habitDoc.id)) return;
+        migrating.add(habitDoc.id);
+        migrateHabit(userId, habitDoc)
+            .catch(e => console.error("Error migrating habit history: ", e))
+            .finally(() => migrating.delete(habitDoc.id));
+    };
+
+    return {
+        kind: 'firestore',
+
+        subscribe: (userId, onChange, onError) => {
+            const since = (historySince && historySince()) || null;
+            let habitDocs = [];
+            const dayDocsByHabit = new Map(); // habitId -> day snapshots
+            const dayListeners = new Map(); // habitId -> unsubscribe
+
+            // Emit only once every habit's days have loaded, so streaks never
+            // flash as broken while history is still arriving.
+            const emit = () => {
+                if (habitDocs.some(habitDoc => !dayDocsByHabit.has(habitDoc.id))) return;
+                onChange(sortByOrder(habitDocs.map(habitDoc => assembleHabit(habitDoc, dayDocsByHabit.get(habitDoc.id), since))));
+            };
+
+            const unsubscribeHabits = onSnapshot(query(habitsCollection(userId)), (snapshot) => {
+                habitDocs = snapshot.docs;
+                const ids = new Set(habitDocs.map(habitDoc => habitDoc.id));
+
+                dayListeners.forEach((unsubscribe, habitId) => {
+                    if (ids.has(habitId)) return;
+                    unsubscribe();
+                    dayListeners.delete(habitId);
+                    dayDocsByHabit.delete(habitId);
+                });
+                habitDocs.forEach(habitDoc => {
+                    migrateOnce(userId, habitDoc);
+                    if (dayListeners.has(habitDoc.id)) return;
+                    dayListeners.set(habitDoc.id, onSnapshot(daysQuery(userId, habitDoc.id, since), (days) => {
+                        dayDocsByHabit.set(habitDoc.id, days.docs);
+                        emit();
+                    }, onError));
+                });
+                emit();
+            }, onError);
+
+            return () => {
+                unsubscribeHabits();
+                dayListeners.forEach(unsubscribe => unsubscribe());
+            };
+        },
+
+        // Unlike `subscribe`, loads the full history (used for exports and merges).
+        fetchAll: async (userId) => {
+            const snapshot = await getDocs(query(habitsCollection(userId)));
+            const habits = await Promise.all(snapshot.docs.map(async (habitDoc) =>
+                assembleHabit(habitDoc, (await getDocs(daysQuery(userId, habitDoc.id))).docs)
+            ));
+            return sortByOrder(habits);
+        },
+
+        // The habit and its usage count are written first, then its days.
+        // `loadedSince` describes a loaded copy, not the habit, so it is never
+        // stored.
+        create: async (userId, habitId, { completions, history, notes, loadedSince, ...data }) => {
+            await ensureUsage(userId);
+            await writeCounted(userId, habitId, (transaction) => {
+                const after = { ...data, counted: isActive(data) };
+                transaction.set(habitRef(userId, habitId), after);
+                return after;
+            });
+            await commitInChunks(db, dayWrites(userId, habitId, completions || {}, history, notes));
+        },
+
+        // `completions`, `history` and `notes` in `changes` are written per day:
+        // listed days are set, days not listed are left untouched. Archiving
+        // and trashing depend on the stored habit, so those run in a
+        // transaction that also moves the usage count.
+        update: async (userId, habitId, { completions, history, notes, ...changes }) => {
+            if ('archived' in changes || 'deletedAt' in changes) {
+                await ensureUsage(userId);
+                await writeCounted(userId, habitId, (transaction, before) => {
+                    if (!before) throw new Error(`Habit ${habitId} does not exist.`);
+                    const counted = isActive({ ...before, ...changes });
+                    transaction.update(habitRef(userId, habitId), { ...changes, counted });
+                    return { ...before, ...changes, counted };
+                });
+                return commitInChunks(db, dayWrites(userId, habitId, completions, history, notes));
+            }
+            return commitInChunks(db, [
+                ...(Object.keys(changes).length > 0 ? [(batch) => batch.update(habitRef(userId, habitId), changes)] : []),
+                ...dayWrites(userId, habitId, completions, history, notes),
+            ]);
+        },
+
+        // Atomic single-day write; `historyEntry` is appended, never replaced.
+        setCompletion: (userId, habitId, date, value, historyEntry) =>
+            setDoc(dayRef(userId, habitId, date), {
+                value: value || null,
+                history: arrayUnion(historyEntry),
+            }, { merge: true }),
+
+        // Only the `note` field is touched, so the day's value and history stay.
+        setNote: (userId, habitId, date, note) =>
+            setDoc(dayRef(userId, habitId, date), { note: note || deleteField() }, { merge: true }),
+
+        // Deleting a document does not delete its subcollections, so the
+        // day documents are removed explicitly, before the habit itself.
+        remove: async (userId, habitId) => {
+            const days = await getDocs(collection(db, daysCollectionPath(appId, userId, habitId)));
+            await commitInChunks(db, days.docs.map(day => (batch) => batch.delete(day.ref)));
+            await ensureUsage(userId);
+            await writeCounted(userId, habitId, (transaction, before) => {
+                if (before) transaction.delete(habitRef(userId, habitId));
+                return null;
+            });
+        },
+
+        // A missing document is only reported once the server has confirmed
+        // it; an empty cache while offline says nothing about the account.
+        subscribeSettings: (userId, onChange, onError) =>
+            onSnapshot(doc(db, settingsDocPath(appId, userId)), (snapshot) => {
+                if (!snapshot.exists() && snapshot.metadata.fromCache) return;
+                onChange(snapshot.exists() ? snapshot.data() : null);
+            }, onError),
+
+        saveSettings: (userId, changes) =>
+            setDoc(doc(db, settingsDocPath(appId, userId)), changes, { merge: true }),
+
+        // Emits once both the app's plan table and the user's entitlement
+        // have loaded; a missing document means the defaults apply.
+        subscribePlan: (userId, onChange, onError) => {
+            const loaded = {};
+            const emit = () => {
+                if ('config' in loaded && 'entitlement' in loaded) onChange(resolvePlan(loaded.config, loaded.entitlement));
+            };
+            const listen = (key, path) => onSnapshot(doc(db, path), (snapshot) => {
+                loaded[key] = snapshot.exists() ? snapshot.data() : null;
+                emit();
+            }, onError);
+            const unsubscribeConfig = listen('config', planConfigDocPath(appId));
+            const unsubscribeEntitlement = listen('entitlement', entitlementDocPath(appId, userId));
+            return () => {
+                unsubscribeConfig();
+                unsubscribeEntitlement();
+            };
+        },
+    };
+};
@@ -0,0 +1,130 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { createFirestoreRepository, daysCollectionPath, habitsCollectionPath, usageDocPath } from './firestoreRepository';
+
+// Runs against the Firestore emulator (`npm run test:emulator`) and is
+// skipped otherwise. Two repositories signed in as the same user stand in for
+// two devices writing at the same time.
+
+const APP_ID = 'test-app';
+const USER = 'alice';
+
+const habit = (overrides = {}) => ({
+    name: 'Read',
+    order: 0,
+    createdAt: '2026-01-01T08:00:00.000Z',
+    schedule: { type: 'daily' },
+    archived: false,
+    deletedAt: null,
+    completions: {},
+    history: [],
+    notes: {},
+    ...overrides,
+});
+
+const entry = (date, changedBy, changedAt) => ({ date, from: false, to: true, changedBy, changedAt });
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('Firestore repository with concurrent writers', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-habit-forge',
+            firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+        });
+    });
+
+    afterEach(() => testEnv.clearFirestore());
+    afterAll(() => testEnv.cleanup());
+
+    const device = (options = {}) =>
+        createFirestoreRepository({ db: testEnv.authenticatedContext(USER).firestore(), appId: APP_ID, ...options });
+
+    // Resolves with the first habit list that satisfies `isReady`.
+    const nextHabits = (repository, isReady = () => true) => new Promise((resolve, reject) => {
+        let unsubscribe = () => {};
+        unsubscribe = repository.subscribe(USER, (habits) => {
+            if (!isReady(habits)) return;
+            unsubscribe();
+            resolve(habits);
+        }, reject);
+    });
+
+    it('keeps check-ins on different days written at the same time', async () => {
+        const phone = device();
+        const laptop = device();
+        await phone.create(USER, 'h1', habit());
+        await Promise.all([
+            phone.setCompletion(USER, 'h1', '2026-03-01', true, entry('2026-03-01', 'phone', '2026-03-01T09:00:00.000Z')),
+            laptop.setCompletion(USER, 'h1', '2026-03-02', true, entry('2026-03-02', 'laptop', '2026-03-02T09:00:00.000Z')),
+        ]);
+        const [stored] = await laptop.fetchAll(USER);
+        expect(stored.completions).toEqual({ '2026-03-01': true, '2026-03-02': true });
+        expect(stored.history.map(item => item.changedBy)).toEqual(['phone', 'laptop']);
+    });
+
+    it('keeps the history of both writers on the same day', async () => {
+        const phone = device();
+        const laptop = device();
+        await phone.create(USER, 'h1', habit());
+        await Promise.all([
+            phone.setCompletion(USER, 'h1', '2026-03-01', true, entry('2026-03-01', 'phone', '2026-03-01T09:00:00.000Z')),
+            laptop.setCompletion(USER, 'h1', '2026-03-01', true, entry('2026-03-01', 'laptop', '2026-03-01T09:00:01.000Z')),
+        ]);
+        const [stored] = await phone.fetchAll(USER);
+        expect(stored.completions['2026-03-01']).toBe(true);
+        expect(stored.history.map(item => item.changedBy).sort()).toEqual(['laptop', 'phone']);
+    });
+
+    it('keeps a rename and a check-in made at the same time', async () => {
+        const phone = device();
+        const laptop = device();
+        await phone.create(USER, 'h1', habit());
+        await Promise.all([
+            phone.update(USER, 'h1', { name: 'Read 20 pages' }),
+            laptop.setCompletion(USER, 'h1', '2026-03-01', true, entry('2026-03-01', 'laptop', '2026-03-01T09:00:00.000Z')),
+        ]);
+        const [stored] = await phone.fetchAll(USER);
+        expect(stored.name).toBe('Read 20 pages');
+        expect(stored.completions).toEqual({ '2026-03-01': true });
+    });
+
+    it('loads only recent days when subscribing and marks where they start', async () => {
+        const phone = device({ historySince: () => '2026-02-01' });
+        await phone.create(USER, 'h1', habit({ completions: { '2026-01-15': true, '2026-02-15': true } }));
+        const [loaded] = await nextHabits(phone, habits => habits.length === 1);
+        expect(loaded.completions).toEqual({ '2026-02-15': true });
+        expect(loaded.loadedSince).toBe('2026-02-01');
+
+        const [full] = await phone.fetchAll(USER);
+        expect(full.completions).toEqual({ '2026-01-15': true, '2026-02-15': true });
+        expect(full.loadedSince).toBeUndefined();
+    });
+
+    it('migrates a legacy habit without losing a check-in written meanwhile', async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            const { notes, ...legacy } = habit();
+            await setDoc(doc(db, usageDocPath(APP_ID, USER)), { activeHabits: 1 });
+            await setDoc(doc(db, habitsCollectionPath(APP_ID, USER), 'h1'), {
+                ...legacy,
+                completions: { '2026-01-10': true },
+                history: [entry('2026-01-10', 'old', '2026-01-10T09:00:00.000Z')],
+            });
+        });
+        const phone = device();
+        const laptop = device();
+        const migrated = nextHabits(phone, ([stored]) => stored && stored.completions['2026-03-01'] === true);
+        await laptop.setCompletion(USER, 'h1', '2026-03-01', true, entry('2026-03-01', 'laptop', '2026-03-01T09:00:00.000Z'));
+        const [stored] = await migrated;
+        expect(stored.completions).toEqual({ '2026-01-10': true, '2026-03-01': true });
+
+        // The migration finishes in the background.
+        await vi.waitFor(() => testEnv.withSecurityRulesDisabled(async (context) => {
+            const days = await context.firestore().collection(daysCollectionPath(APP_ID, USER, 'h1')).get();
+            expect(days.docs.map(day => day.id).sort()).toEqual(['2026-01-10', '2026-03-01']);
+        }), { timeout: 5000 });
+    });
+});
@@ -0,0 +1,148 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, afterEach, beforeAll, describe, expect, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { createFirestoreRepository, habitsCollectionPath, usageDocPath } from './firestoreRepository';
+
+// Runs against the Firestore emulator (`npm run test:emulator`) and is
+// skipped otherwise. Covers the habit limit in firestore.rules: the usage
+// counter starts at zero, habits are counted in one at a time, and the
+// client's writes keep it exact even when retried or made from two devices.
+
+const APP_ID = 'test-app';
+const USER = 'alice';
+const FREE_LIMIT = 3;
+
+const habit = (overrides = {}) => ({
+    name: 'Read',
+    order: 0,
+    createdAt: '2026-01-01T08:00:00.000Z',
+    archived: false,
+    deletedAt: null,
+    ...overrides,
+});
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('habit limit rules', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-habit-forge',
+            firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+        });
+    });
+
+    afterEach(() => testEnv.clearFirestore());
+    afterAll(() => testEnv.cleanup());
+
+    const userDb = () => testEnv.authenticatedContext(USER).firestore();
+    const habitDoc = (db, habitId) => doc(db, habitsCollectionPath(APP_ID, USER), habitId);
+    const usageDoc = (db) => doc(db, usageDocPath(APP_ID, USER));
+    const device = () => createFirestoreRepository({ db: userDb(), appId: APP_ID });
+
+    const seed = (writes) => testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        for (const [habitId, data] of Object.entries(writes.habits || {})) await setDoc(habitDoc(db, habitId), data);
+        if (writes.usage) await setDoc(usageDoc(db), writes.usage);
+    });
+
+    const storedUsage = async () => {
+        let usage = null;
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            usage = (await getDoc(usageDoc(context.firestore()))).data();
+        });
+        return usage;
+    };
+
+    it('only lets the usage counter start at zero', async () => {
+        const db = userDb();
+        await assertFails(setDoc(usageDoc(db), { activeHabits: -1 }));
+        await assertFails(setDoc(usageDoc(db), { activeHabits: 0, lastHabitId: 'h1' }));
+        await assertFails(setDoc(usageDoc(db), { activeHabits: 5 }));
+        await assertSucceeds(setDoc(usageDoc(db), { activeHabits: 0 }));
+    });
+
+    it('requires an active habit to be counted together with the usage counter', async () => {
+        await seed({ usage: { activeHabits: 0 } });
+        const db = userDb();
+        await assertFails(setDoc(habitDoc(db, 'h1'), habit()));
+        await assertFails(setDoc(habitDoc(db, 'h1'), habit({ counted: false })));
+        await assertFails(setDoc(habitDoc(db, 'h1'), habit({ counted: true })));
+
+        const batch = writeBatch(db);
+        batch.set(habitDoc(db, 'h1'), habit({ counted: true }));
+        batch.set(usageDoc(db), { activeHabits: 2, lastHabitId: 'h1' });
+        await assertFails(batch.commit());
+
+        const exact = writeBatch(db);
+        exact.set(habitDoc(db, 'h1'), habit({ counted: true }));
+        exact.set(usageDoc(db), { activeHabits: 1, lastHabitId: 'h1' });
+        await assertSucceeds(exact.commit());
+    });
+
+    it('does not count archived habits', async () => {
+        await seed({ usage: { activeHabits: 0 } });
+        const db = userDb();
+        await assertFails(setDoc(habitDoc(db, 'h1'), habit({ archived: true, counted: true })));
+        await assertSucceeds(setDoc(habitDoc(db, 'h1'), habit({ archived: true, counted: false })));
+    });
+
+    it('lets habits from before the counter be edited but not reactivated uncounted', async () => {
+        await seed({
+            usage: { activeHabits: 0 },
+            habits: { h1: habit(), h2: habit({ archived: true }) },
+        });
+        const db = userDb();
+        await assertSucceeds(updateDoc(habitDoc(db, 'h1'), { name: 'Read more' }));
+        await assertSucceeds(updateDoc(habitDoc(db, 'h1'), { archived: true }));
+        await assertFails(updateDoc(habitDoc(db, 'h2'), { archived: false }));
+        await assertFails(setDoc(habitDoc(db, 'h3'), habit()));
+    });
+
+    it('stops counting at the plan limit', async () => {
+        await seed({ usage: { activeHabits: FREE_LIMIT, lastHabitId: 'h0' } });
+        const db = userDb();
+        const batch = writeBatch(db);
+        batch.set(habitDoc(db, 'h9'), habit({ counted: true }));
+        batch.set(usageDoc(db), { activeHabits: FREE_LIMIT + 1, lastHabitId: 'h9' });
+        await assertFails(batch.commit());
+    });
+
+    it('counts a retried create only once', async () => {
+        const phone = device();
+        await phone.create(USER, 'h1', habit());
+        await phone.create(USER, 'h1', habit());
+        await phone.update(USER, 'h1', { archived: true });
+        await phone.update(USER, 'h1', { archived: true });
+        expect((await storedUsage()).activeHabits).toBe(0);
+        await phone.update(USER, 'h1', { archived: false });
+        await phone.remove(USER, 'h1');
+        await phone.remove(USER, 'h1');
+        expect((await storedUsage()).activeHabits).toBe(0);
+    });
+
+    it('keeps two devices from going over the limit together', async () => {
+        const phone = device();
+        const laptop = device();
+        await phone.create(USER, 'h1', habit());
+        await phone.create(USER, 'h2', habit());
+        const results = await Promise.allSettled([
+            phone.create(USER, 'h3', habit()),
+            laptop.create(USER, 'h4', habit()),
+            laptop.create(USER, 'h5', habit()),
+        ]);
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect((await storedUsage()).activeHabits).toBe(FREE_LIMIT);
+    });
+
+    it('counts in habits from before the counter up to the limit', async () => {
+        await seed({
+            habits: Object.fromEntries(['h1', 'h2', 'h3', 'h4'].map(id => [id, habit()])),
+        });
+        const phone = device();
+        await expect(phone.create(USER, 'h5', habit())).rejects.toMatchObject({ code: 'permission-denied' });
+        expect((await storedUsage()).activeHabits).toBe(FREE_LIMIT);
+        await phone.update(USER, 'h1', { archived: true });
+        expect((await storedUsage()).activeHabits).toBe(FREE_LIMIT - 1);
+    });
+});
@@ -0,0 +1,52 @@
+import { createFirestoreRepository } from './firestoreRepository';
+import { createLocalRepository } from './localRepository';
+import { createSyncedRepository } from './syncedRepository';
+import { createMutationQueue } from './mutationQueue';
+import { openKeyValueStore } from './keyValueStore';
+
+// ----------------------------------------------------------------------
+// --- HABIT REPOSITORY ---
+// ----------------------------------------------------------------------
+
+// Every backend implements the same promise-based interface:
+//   subscribe(userId, onChange(habits), onError) -> unsubscribe
+//   fetchAll(userId) -> habits        // one-off read of the full, authoritative history
+//   create(userId, habitId, data)
+//   update(userId, habitId, changes)   // shallow merge of top-level fields
+//   setCompletion(userId, habitId, date, value, historyEntry)
+//                                      // atomic single-day write; a falsy value clears the day
+//   setNote(userId, habitId, date, note) // note is { text, rating } or null to clear; completions are untouched
+//   remove(userId, habitId)
+//   subscribeSettings(userId, onChange(settings | null), onError) -> unsubscribe
+//                                      // null only once the backend knows there are no settings
+//   saveSettings(userId, changes)      // merges into the user's settings record
+//   subscribePlan(userId, onChange({ plan, habitLimit }), onError) -> unsubscribe
+//                                      // the user's plan and active habit limit; see plans.js
+// `onChange` always receives the full habit list sorted by `order`.
+
+export const STORAGE_BACKENDS = ['firestore', 'local', 'synced'];
+
+// `historySince()` returns the earliest `YYYY-MM-DD` day Firestore should load.
+export const createHabitRepository = ({ backend, appId, db, historySince }) => {
+    switch (backend) {
+        case 'firestore':
+            return createFirestoreRepository({ db, appId, historySince });
+        case 'local':
+            return createLocalRepository({ appId });
+        case 'synced':
+            return createSyncedRepository({
+                local: createLocalRepository({ appId }),
+                remote: createFirestoreRepository({ db, appId, historySince }),
+            });
+        default:
+            throw new Error(`Unknown storage backend "${backend}". Expected one of: ${STORAGE_BACKENDS.join(', ')}.`);
+    }
+};
+
+// Wraps a repository so writes are optimistic, persisted and retried; see
+// mutationQueue.js. The result implements the same interface.
+export const withMutationQueue = (repository, { appId }) =>
+    createMutationQueue({ repository, store: openKeyValueStore(`habit-forge-${appId}-mutations`) });
+
+export { habitsCollectionPath, daysCollectionPath, settingsDocPath, usageDocPath, planConfigDocPath, entitlementDocPath } from './firestoreRepository';
+export { createShareStore, sharesCollectionPath } from './shareStore';
@@ -0,0 +1,77 @@
+// ----------------------------------------------------------------------
+// --- KEY/VALUE PERSISTENCE (IndexedDB WITH localStorage FALLBACK) ---
+// ----------------------------------------------------------------------
+
+const STORE_NAME = 'kv';
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined';
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openIndexedDBStore = (dbName) => {
+    const dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const withStore = async (mode, fn) => {
+        const database = await dbPromise;
+        const tx = database.transaction(STORE_NAME, mode);
+        return promisifyRequest(fn(tx.objectStore(STORE_NAME)));
+    };
+
+    return {
+        opened: dbPromise,
+        get: async (key) => (await withStore('readonly', store => store.get(key))) ?? null,
+        set: (key, value) => withStore('readwrite', store => store.put(value, key)),
+        remove: (key) => withStore('readwrite', store => store.delete(key)),
+    };
+};
+
+const openLocalStorageStore = (dbName) => {
+    const fullKey = (key) => `${dbName}:${key}`;
+    return {
+        get: async (key) => {
+            const raw = localStorage.getItem(fullKey(key));
+            return raw ? JSON.parse(raw) : null;
+        },
+        set: async (key, value) => localStorage.setItem(fullKey(key), JSON.stringify(value)),
+        remove: async (key) => localStorage.removeItem(fullKey(key)),
+    };
+};
+
+// Some browsers never answer an open request that is blocked.
+const OPEN_TIMEOUT_MS = 5000;
+
+const timeout = (ms) => new Promise((_, reject) =>
+    setTimeout(() => reject(new Error(`IndexedDB did not open within ${ms}ms.`)), ms));
+
+// Returns an async { get, set, remove } store. IndexedDB is preferred; browsers
+// without it fall back to localStorage, and so do private modes that block it,
+// which may only report the failure once the open request errors.
+export const openKeyValueStore = (dbName) => {
+    if (!hasIndexedDB()) return openLocalStorageStore(dbName);
+
+    let backend;
+    try {
+        const indexedDBStore = openIndexedDBStore(dbName);
+        backend = Promise.race([indexedDBStore.opened, timeout(OPEN_TIMEOUT_MS)]).then(() => indexedDBStore);
+    } catch (e) {
+        backend = Promise.reject(e);
+    }
+    backend = backend.catch(e => {
+        console.error("IndexedDB unavailable, falling back to localStorage: ", e);
+        return openLocalStorageStore(dbName);
+    });
+
+    return {
+        get: async (key) => (await backend).get(key),
+        set: async (key, value) => (await backend).set(key, value),
+        remove: async (key) => (await backend).remove(key),
+    };
+};
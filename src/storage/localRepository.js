@@ -0,0 +1,112 @@
+import { openKeyValueStore } from './keyValueStore';
+import { applyNote } from './operations';
+import { DEFAULT_PLAN } from '../plans';
+
+// ----------------------------------------------------------------------
+// --- LOCAL (BROWSER) HABIT REPOSITORY ---
+// ----------------------------------------------------------------------
+
+// Habits are kept per user as a single { [habitId]: habit } record so that a
+// snapshot can be emitted to subscribers without scanning the whole store.
+const habitsKey = (userId) => `habits/${userId}`;
+const settingsKey = (userId) => `settings/${userId}`;
+
+const toSortedList = (habitsById) =>
+    Object.entries(habitsById)
+        .map(([id, data]) => ({ id, ...data }))
+        .sort((a, b) => a.order - b.order);
+
+export const createLocalRepository = ({ appId }) => {
+    const store = openKeyValueStore(`habit-forge-${appId}`);
+    const listeners = new Map(); // userId -> Set<onChange>
+    const settingsListeners = new Map(); // userId -> Set<onChange>
+
+    const addListener = (registry, userId, onChange) => {
+        if (!registry.has(userId)) registry.set(userId, new Set());
+        registry.get(userId).add(onChange);
+        return () => registry.get(userId).delete(onChange);
+    };
+
+    const read = async (userId) => (await store.get(habitsKey(userId))) || {};
+
+    const write = async (userId, habitsById) => {
+        await store.set(habitsKey(userId), habitsById);
+        const snapshot = toSortedList(habitsById);
+        (listeners.get(userId) || []).forEach(onChange => onChange(snapshot));
+    };
+
+    const mutate = async (userId, fn) => {
+        const habitsById = await read(userId);
+        fn(habitsById);
+        await write(userId, habitsById);
+    };
+
+    return {
+        kind: 'local',
+
+        subscribe: (userId, onChange, onError) => {
+            const unsubscribe = addListener(listeners, userId, onChange);
+            read(userId).then(habitsById => onChange(toSortedList(habitsById)), onError);
+            return unsubscribe;
+        },
+
+        fetchAll: async (userId) => toSortedList(await read(userId)),
+
+        create: (userId, habitId, data) => mutate(userId, habitsById => {
+            habitsById[habitId] = data;
+        }),
+
+        update: (userId, habitId, changes) => mutate(userId, habitsById => {
+            if (!habitsById[habitId]) throw new Error(`Habit ${habitId} does not exist.`);
+            habitsById[habitId] = { ...habitsById[habitId], ...changes };
+        }),
+
+        setCompletion: (userId, habitId, date, value, historyEntry) => mutate(userId, habitsById => {
+            const habit = habitsById[habitId];
+            if (!habit) throw new Error(`Habit ${habitId} does not exist.`);
+            const completions = { ...habit.completions };
+            if (value) {
+                completions[date] = value;
+            } else {
+                delete completions[date];
+            }
+            habitsById[habitId] = { ...habit, completions, history: [...(habit.history || []), historyEntry] };
+        }),
+
+        setNote: (userId, habitId, date, note) => mutate(userId, habitsById => {
+            if (!habitsById[habitId]) throw new Error(`Habit ${habitId} does not exist.`);
+            habitsById[habitId] = applyNote(habitsById[habitId], { date, note });
+        }),
+
+        remove: (userId, habitId) => mutate(userId, habitsById => {
+            delete habitsById[habitId];
+        }),
+
+        subscribeSettings: (userId, onChange, onError) => {
+            const unsubscribe = addListener(settingsListeners, userId, onChange);
+            store.get(settingsKey(userId)).then(onChange, onError);
+            return unsubscribe;
+        },
+
+        saveSettings: async (userId, changes) => {
+            const settings = { ...(await store.get(settingsKey(userId))), ...changes };
+            await store.set(settingsKey(userId), settings);
+            (settingsListeners.get(userId) || []).forEach(onChange => onChange(settings));
+        },
+
+        // There is no server to hold plans, so the default plan always applies.
+        subscribePlan: (userId, onChange) => {
+            onChange(DEFAULT_PLAN);
+            return () => {};
+        },
+
+        // Not part of the shared interface: lets the synced repository mirror a
+        // remote snapshot into the local copy in one write.
+        replaceAll: (userId, habits) => write(userId, Object.fromEntries(
+            habits.map(({ id, ...data }) => [id, data])
+        )),
+
+        // Exposed for the synced repository's pending-write queue.
+        store,
+    };
+};
@@ -0,0 +1,149 @@
+import { applyOperations, executeOperation, operationMethods } from './operations';
+import { describeFailure, isOnline, isTransient, OPERATION_TIMEOUT_MS, retryDelay, withTimeout } from './failures';
+
+// ----------------------------------------------------------------------
+// --- MUTATION QUEUE (OPTIMISTIC WRITES, ROLLBACK & RETRIES) ---
+// ----------------------------------------------------------------------
+// Wraps a repository with the same interface. Every write becomes a queued
+// operation that is:
+//   - applied optimistically to `subscribe` snapshots right away,
+//   - persisted, so it survives a reload while offline or failing,
+//   - retried in order with exponential backoff on transient errors,
+//   - dropped (rolling the optimistic change back) on permanent errors, which
+//     are reported through `subscribeState` for the UI to show.
+// Failures of the wrapped repository's own sync queue (see syncedRepository.js)
+// are reported and dismissed through `subscribeState` as well.
+// Write methods resolve once the operation is queued, not when it lands.
+
+const QUEUE_KEY = 'mutation-queue';
+
+export const createMutationQueue = ({ repository, store }) => {
+    let queue = []; // [{ id, op, attempts }]
+    let errors = []; // [{ id, key, reason, detail }], see describeFailure
+    let syncErrors = []; // the same, from the wrapped repository's sync queue
+    let retryTimer = null;
+    let processing = false;
+    const habitListeners = new Set(); // () => void, re-emit with overlay
+    const stateListeners = new Set();
+
+    const getState = () => ({ pending: queue.length, errors: [...errors, ...syncErrors], isOnline: isOnline() });
+
+    const notify = () => {
+        habitListeners.forEach(listener => listener());
+        const state = getState();
+        stateListeners.forEach(listener => listener(state));
+    };
+
+    const persist = () => store.set(QUEUE_KEY, queue);
+
+    const scheduleRetry = (delay) => {
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(processQueue, delay);
+    };
+
+    // Runs queued operations in order. A transient failure pauses the queue
+    // so later writes never overtake earlier ones.
+    async function processQueue() {
+        if (processing) return;
+        processing = true;
+        try {
+            while (queue.length > 0 && isOnline()) {
+                const entry = queue[0];
+                try {
+                    await withTimeout(executeOperation(repository, entry.op), OPERATION_TIMEOUT_MS);
+                } catch (error) {
+                    if (isTransient(error)) {
+                        entry.attempts++;
+                        await persist();
+                        notify();
+                        scheduleRetry(retryDelay(entry.attempts));
+                        return;
+                    }
+                    console.error("Write failed permanently, rolling back: ", error);
+                    errors = [...errors, { id: entry.id, ...describeFailure(entry.op, error) }];
+                }
+                queue = queue.slice(1);
+                await persist();
+                notify();
+            }
+        } finally {
+            processing = false;
+        }
+    }
+
+    const dispatch = async (op) => {
+        queue = [...queue, { id: crypto.randomUUID(), op, attempts: 0 }];
+        await persist();
+        notify();
+        processQueue();
+    };
+
+    const ready = store.get(QUEUE_KEY).then(saved => {
+        queue = [...(saved || []), ...queue];
+        notify();
+        processQueue();
+    });
+
+    if (typeof window !== 'undefined') {
+        window.addEventListener('online', () => {
+            notify();
+            clearTimeout(retryTimer);
+            processQueue();
+        });
+        window.addEventListener('offline', notify);
+    }
+
+    if (repository.subscribeSyncState) {
+        repository.subscribeSyncState(({ errors: failed }) => {
+            if (failed === syncErrors) return;
+            syncErrors = failed;
+            notify();
+        });
+    }
+
+    const pendingOpsFor = (userId) => queue.map(entry => entry.op).filter(op => op.userId === userId);
+
+    return {
+        ...repository,
+        ...operationMethods(async (op) => {
+            await ready;
+            return dispatch(op);
+        }),
+
+        subscribe: (userId, onChange, onError) => {
+            let latest = null;
+            const emit = () => {
+                if (latest) onChange(applyOperations(latest, pendingOpsFor(userId)));
+            };
+            habitListeners.add(emit);
+            const unsubscribe = repository.subscribe(userId, (habits) => {
+                latest = habits;
+                emit();
+            }, onError);
+            return () => {
+                habitListeners.delete(emit);
+                unsubscribe();
+            };
+        },
+
+        // Pending writes are applied here too, for the same reason as above.
+        fetchAll: async (userId) => applyOperations(await repository.fetchAll(userId), pendingOpsFor(userId)),
+
+        subscribeState: (listener) => {
+            stateListeners.add(listener);
+            listener(getState());
+            return () => stateListeners.delete(listener);
+        },
+
+        dismissError: (errorId) => {
+            errors = errors.filter(error => error.id !== errorId);
+            if (repository.dismissSyncError) repository.dismissSyncError(errorId);
+            notify();
+        },
+
+        retryNow: () => {
+            clearTimeout(retryTimer);
+            processQueue();
+        },
+    };
+};
@@ -0,0 +1,75 @@
+// ----------------------------------------------------------------------
+// --- SERIALIZABLE WRITE OPERATIONS ---
+// ----------------------------------------------------------------------
+// Queued writes are stored as plain data so they survive a reload:
+//   { type: 'create',     userId, habitId, data }
+//   { type: 'update',     userId, habitId, data }
+//   { type: 'remove',     userId, habitId }
+//   { type: 'completion', userId, habitId, data: { date, value, historyEntry } }
+//   { type: 'note',       userId, habitId, data: { date, note } }
+//   { type: 'settings',   userId, data }
+
+export const executeOperation = (repository, { type, userId, habitId, data }) => {
+    switch (type) {
+        case 'create':
+            return repository.create(userId, habitId, data);
+        case 'update':
+            return repository.update(userId, habitId, data);
+        case 'remove':
+            return repository.remove(userId, habitId);
+        case 'completion':
+            return repository.setCompletion(userId, habitId, data.date, data.value, data.historyEntry);
+        case 'note':
+            return repository.setNote(userId, habitId, data.date, data.note);
+        case 'settings':
+            return repository.saveSettings(userId, data);
+        default:
+            return Promise.reject(new Error(`Unknown operation type "${type}".`));
+    }
+};
+
+const applyCompletion = (habit, { date, value, historyEntry }) => {
+    const completions = { ...habit.completions };
+    if (value) {
+        completions[date] = value;
+    } else {
+        delete completions[date];
+    }
+    return { ...habit, completions, history: [...(habit.history || []), historyEntry] };
+};
+
+export const applyNote = (habit, { date, note }) => {
+    const notes = { ...habit.notes };
+    if (note) {
+        notes[date] = note;
+    } else {
+        delete notes[date];
+    }
+    return { ...habit, notes };
+};
+
+// Applies queued operations on top of a habit list, so a snapshot that
+// predates our pending writes does not visually undo them.
+export const applyOperations = (habits, ops) => {
+    const byId = new Map(habits.map(h => [h.id, h]));
+    ops.forEach(({ type, habitId, data }) => {
+        if (type === 'create') byId.set(habitId, { id: habitId, ...data });
+        if (type === 'update' && byId.has(habitId)) byId.set(habitId, { ...byId.get(habitId), ...data });
+        if (type === 'completion' && byId.has(habitId)) byId.set(habitId, applyCompletion(byId.get(habitId), data));
+        if (type === 'note' && byId.has(habitId)) byId.set(habitId, applyNote(byId.get(habitId), data));
+        if (type === 'remove') byId.delete(habitId);
+    });
+    return [...byId.values()].sort((a, b) => a.order - b.order);
+};
+
+// Builds the repository write methods on top of `dispatch(op)`, for wrappers
+// that turn calls into queued operations.
+export const operationMethods = (dispatch) => ({
+    create: (userId, habitId, data) => dispatch({ type: 'create', userId, habitId, data }),
+    update: (userId, habitId, changes) => dispatch({ type: 'update', userId, habitId, data: changes }),
+    remove: (userId, habitId) => dispatch({ type: 'remove', userId, habitId }),
+    setCompletion: (userId, habitId, date, value, historyEntry) =>
+        dispatch({ type: 'completion', userId, habitId, data: { date, value, historyEntry } }),
+    setNote: (userId, habitId, date, note) => dispatch({ type: 'note', userId, habitId, data: { date, note } }),
+    saveSettings: (userId, changes) => dispatch({ type: 'settings', userId, data: changes }),
+});
@@ -0,0 +1,37 @@
+import { collection, deleteDoc, doc, onSnapshot, query, setDoc, where } from 'firebase/firestore';
+
+// ----------------------------------------------------------------------
+// --- FIRESTORE SHARE STORE ---
+// ----------------------------------------------------------------------
+// Share documents (see sharing.js) sit outside every user's private path so
+// that a share page can read one without signing in. Writes go straight to
+// Firestore rather than through the mutation queue: a link is only useful
+// once it is online.
+
+export const sharesCollectionPath = (appId) => `/artifacts/${appId}/shares`;
+
+export const createShareStore = ({ db, appId }) => {
+    const shareRef = (shareId) => doc(db, sharesCollectionPath(appId), shareId);
+    const toShare = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+    return {
+        // The owner's shares, oldest first.
+        subscribeOwned: (userId, onChange, onError) =>
+            onSnapshot(query(collection(db, sharesCollectionPath(appId)), where('ownerId', '==', userId)), (snapshot) => {
+                onChange(snapshot.docs.map(toShare).sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+            }, onError),
+
+        // A single share for its page; null once it has been revoked.
+        subscribe: (shareId, onChange, onError) =>
+            onSnapshot(shareRef(shareId), (snapshot) => {
+                onChange(snapshot.exists() ? toShare(snapshot) : null);
+            }, onError),
+
+        publish: (shareId, share) => setDoc(shareRef(shareId), share),
+
+        // `changes` holds a fresh snapshot; the owner and selection stay.
+        refresh: (shareId, changes) => setDoc(shareRef(shareId), changes, { merge: true }),
+
+        revoke: (shareId) => deleteDoc(shareRef(shareId)),
+    };
+};
@@ -0,0 +1,193 @@
+import { applyOperations, executeOperation, operationMethods } from './operations';
+import { describeFailure, isOnline, isTransient, OPERATION_TIMEOUT_MS, retryDelay, withTimeout } from './failures';
+
+// ----------------------------------------------------------------------
+// --- OFFLINE-FIRST REPOSITORY (LOCAL + QUEUED FIRESTORE SYNC) ---
+// ----------------------------------------------------------------------
+// Writes land in the local copy first and are queued for Firestore. Like the
+// mutation queue, the sync queue retries transient failures with backoff and
+// drops writes that fail permanently, restoring the local copy from the last
+// Firestore snapshot; those failures are reported through
+// `subscribeSyncState` as `{ pending, errors }`, with errors shaped like the
+// mutation queue's (see failures.js `describeFailure`).
+
+const QUEUE_KEY = 'sync-queue';
+
+export const createSyncedRepository = ({ local, remote }) => {
+    const { store } = local;
+    const syncListeners = new Set();
+    let flushing = null;
+    let retryTimer = null;
+    let attempts = 0;
+    let pending = 0;
+    let errors = [];
+    // The latest Firestore data per user, to roll failed writes back to.
+    const remoteHabits = new Map();
+    const remoteSettings = new Map();
+
+    const notify = () => syncListeners.forEach(listener => listener({ pending, errors }));
+
+    const readQueue = async () => (await store.get(QUEUE_KEY)) || [];
+
+    const writeQueue = async (queue) => {
+        await store.set(QUEUE_KEY, queue);
+        pending = queue.length;
+        notify();
+    };
+
+    // Every change to the stored queue is a read-modify-write, so they run
+    // one at a time: an operation enqueued while a flush is sending another
+    // is never overwritten by the flush's copy of the queue.
+    let queueUpdate = Promise.resolve();
+    const updateQueue = (change) => {
+        const result = queueUpdate.then(async () => writeQueue(change(await readQueue())));
+        queueUpdate = result.catch(() => {});
+        return result;
+    };
+
+    const enqueue = (op) => updateQueue(queue => [...queue, { ...op, id: crypto.randomUUID() }]);
+
+    const dequeue = (done) => updateQueue(queue => queue.filter(op => op.id !== done.id));
+
+    const pendingOpsOf = async (userId) => (await readQueue()).filter(op => op.userId === userId);
+
+    const withPendingSettings = (settings, pendingOps) => pendingOps
+        .filter(op => op.type === 'settings')
+        .reduce((merged, op) => ({ ...merged, ...op.data }), settings);
+
+    // Rebuilds the local copy from Firestore's data with the writes still
+    // queued applied on top, which drops the effect of any write that is
+    // no longer queued.
+    const rollBack = async (userId) => {
+        const pendingOps = await pendingOpsOf(userId);
+        const habits = remoteHabits.has(userId) ? remoteHabits.get(userId) : await remote.fetchAll(userId);
+        await local.replaceAll(userId, applyOperations(habits, pendingOps));
+        if (remoteSettings.get(userId)) {
+            await local.saveSettings(userId, withPendingSettings(remoteSettings.get(userId), pendingOps));
+        }
+    };
+
+    // Replays queued writes against Firestore in order. A transient failure
+    // pauses the queue with backoff so later writes never overtake an
+    // earlier one; a permanent failure drops the write.
+    const flush = () => {
+        if (flushing) return flushing;
+        clearTimeout(retryTimer);
+        flushing = (async () => {
+            let [next] = await readQueue();
+            while (next && isOnline()) {
+                let isRejected = false;
+                try {
+                    await withTimeout(executeOperation(remote, next), OPERATION_TIMEOUT_MS);
+                } catch (error) {
+                    if (isTransient(error)) {
+                        console.error("Sync deferred, will retry: ", error);
+                        retryTimer = setTimeout(flush, retryDelay(++attempts));
+                        return;
+                    }
+                    console.error("Sync failed permanently, rolling back: ", error);
+                    errors = [...errors, { id: next.id, ...describeFailure(next, error) }];
+                    isRejected = true;
+                }
+                attempts = 0;
+                await dequeue(next);
+                if (isRejected) await rollBack(next.userId).catch(e => console.error("Error rolling back local copy: ", e));
+                [next] = await readQueue();
+            }
+        })().finally(() => { flushing = null; });
+        return flushing;
+    };
+
+    if (typeof window !== 'undefined') {
+        window.addEventListener('online', flush);
+    }
+
+    const writeThrough = async (op) => {
+        await executeOperation(local, op);
+        await enqueue(op);
+        flush();
+    };
+
+    return {
+        kind: 'synced',
+
+        subscribe: (userId, onChange, onError) => {
+            const unsubscribeLocal = local.subscribe(userId, onChange, onError);
+            // Remote errors (e.g. offline, missing permissions) are non-fatal here:
+            // the local copy keeps serving reads until Firestore is reachable.
+            const unsubscribeRemote = remote.subscribe(userId, async (habits) => {
+                remoteHabits.set(userId, habits);
+                await local.replaceAll(userId, applyOperations(habits, await pendingOpsOf(userId)));
+            }, (e) => console.error("Remote sync unavailable: ", e));
+            flush();
+            return () => {
+                unsubscribeLocal();
+                unsubscribeRemote();
+            };
+        },
+
+        // Prefers Firestore (with pending local writes applied) so a fresh
+        // device sees the account's full data; falls back to the local copy.
+        fetchAll: async (userId) => {
+            try {
+                await flush();
+                return applyOperations(await remote.fetchAll(userId), await pendingOpsOf(userId));
+            } catch (e) {
+                console.error("Remote fetch unavailable, using local copy: ", e);
+                return local.fetchAll(userId);
+            }
+        },
+
+        ...operationMethods(writeThrough),
+
+        // A local record without a timezone has never been seeded or synced,
+        // so it is held back until Firestore has answered: only then is it
+        // known whether the account already has settings. Otherwise a new
+        // device would seed its own defaults over the account's.
+        subscribeSettings: (userId, onChange, onError) => {
+            let latest = null;
+            let isRemoteKnown = false;
+            const emit = () => {
+                if (isRemoteKnown || (latest && latest.timeZone)) onChange(latest);
+            };
+            const unsubscribeLocal = local.subscribeSettings(userId, (settings) => {
+                latest = settings;
+                emit();
+            }, onError);
+            const unsubscribeRemote = remote.subscribeSettings(userId, async (settings) => {
+                isRemoteKnown = true;
+                remoteSettings.set(userId, settings);
+                if (!settings) return emit();
+                await local.saveSettings(userId, withPendingSettings(settings, await pendingOpsOf(userId)));
+            }, (e) => console.error("Remote settings sync unavailable: ", e));
+            return () => {
+                unsubscribeLocal();
+                unsubscribeRemote();
+            };
+        },
+
+        // The plan is only known to Firestore; until it answers, the app keeps
+        // its default.
+        subscribePlan: (userId, onChange) =>
+            remote.subscribePlan(userId, onChange, (e) => console.error("Remote plan unavailable: ", e)),
+
+        // Reports how many local writes still wait for Firestore, and the
+        // writes it rejected.
+        subscribeSyncState: (listener) => {
+            syncListeners.add(listener);
+            readQueue().then(queue => {
+                pending = queue.length;
+                listener({ pending, errors });
+            });
+            return () => syncListeners.delete(listener);
+        },
+
+        dismissSyncError: (errorId) => {
+            if (!errors.some(error => error.id === errorId)) return;
+            errors = errors.filter(error => error.id !== errorId);
+            notify();
+        },
+
+        flush,
+    };
+};
@@ -1,8 +1,31 @@
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Files from public/ that the service worker should precache as well.
+const PUBLIC_PRECACHE = [
+  '/', '/manifest.webmanifest', '/icon.svg',
+  '/icon-192.png', '/icon-512.png', '/icon-maskable-512.png', '/apple-touch-icon.png',
+]
+
+// Emits src/serviceWorker.js as /sw.js with the build's output files injected
+// as its precache list. Runs for production builds only.
+const serviceWorker = () => ({
+  name: 'habit-forge-service-worker',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const urls = [...PUBLIC_PRECACHE, ...Object.keys(bundle).map(fileName => `/${fileName}`)]
+    const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf8')
+      .replace('self.__PRECACHE_MANIFEST', JSON.stringify(urls))
+      .replace('__CACHE_VERSION__', version)
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
+
 // This configuration tells Vite how to handle React and JSX files.
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })